@@ -1,17 +1,20 @@
 require('dotenv').config();
-const { ChatVertexAI } = require("@langchain/google-vertexai");
 const { HumanMessage, SystemMessage } = require("@langchain/core/messages");
 const { getRoute, getSecurityStats, calculateRiskScore } = require('./tools');
+const { parseTransferIntent } = require('./intent');
+const { createChatModel } = require('./llm');
 
-// Initialize Vertex AI (Gemini 2.5 Pro)
-const model = new ChatVertexAI({
-    model: "gemini-2.5-pro",
-    temperature: 0.1,
-    maxOutputTokens: 8192,
-    location: process.env.LOCATION
-});
+// Configured LLM provider (Vertex AI / Gemini 2.5 Pro by default)
+const model = createChatModel('agent');
 
+// Grammar first; the LLM only sees inputs the parser can't handle
 async function parseIntent(userInput) {
+    const parsed = parseTransferIntent(userInput);
+    if (parsed) return parsed;
+    return parseIntentWithLLM(userInput);
+}
+
+async function parseIntentWithLLM(userInput) {
     const prompt = `
     You are a Blockchain Transaction Parser.
     Extract the following fields from the user's request.
@@ -23,17 +26,19 @@ async function parseIntent(userInput) {
       "fromChain": "chain key (eth, arb, opt, base, bsc, pol, sol, etc)",
       "toChain": "chain key",
       "token": "symbol or 0x address",
-      "amount": "raw integer amount (convert 1k to 1000, etc)"
+      "toToken": "destination token symbol if the user named one (e.g. USDC.e), otherwise the same as token",
+      "amount": "human-readable amount exactly as the user wrote it (e.g. "5000", "1,000.5", "1k")"
     }
     
-    NOTE: If decimals aren't specified, assume standard 6 (USDC) or 18 (ETH). 
-    For this demo, if user says "5000", output "5000000000" (assuming 6 decimals for stables) or strictly follow user input if specific.
+    NOTE: Do NOT convert the amount to atomic units. The route tool applies the token's real decimals.
   `;
 
     const res = await model.invoke([new HumanMessage(prompt)]);
     try {
         const clean = res.content.replace(/```json/g, "").replace(/```/g, "").trim();
-        return JSON.parse(clean);
+        const intent = JSON.parse(clean);
+        const fields = Object.fromEntries(['amount', 'token', 'fromChain', 'toChain', 'toToken'].map(f => [f, 'llm']));
+        return { ...intent, toToken: intent.toToken || intent.token, source: 'llm', fields };
     } catch (e) {
         return null;
     }
@@ -50,10 +55,14 @@ async function runAgent(userInput) {
         return;
     }
     console.log(`✅ Intent: Transfer ${intent.amount} ${intent.token} (${intent.fromChain} -> ${intent.toChain})`);
+    const inferred = Object.keys(intent.fields || {}).filter(f => intent.fields[f] !== 'read');
+    if (inferred.length) {
+        console.log(`   (${intent.source === 'llm' ? 'LLM-parsed' : 'inferred'}: ${inferred.join(', ')})`);
+    }
 
     
     console.log("🔍 Finding best bridge route...");
-    const route = await getRoute(intent.fromChain, intent.toChain, intent.token, intent.amount);
+    const route = await getRoute(intent.fromChain, intent.toChain, intent.token, intent.amount, intent.toToken);
 
     if (!route.success) {
         console.log(` Route Failed: ${route.error}`);
@@ -104,4 +113,4 @@ async function runAgent(userInput) {
     }
 }
 
-module.exports = { runAgent };
\ No newline at end of file
+module.exports = { runAgent, parseIntent };
\ No newline at end of file
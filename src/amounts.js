@@ -0,0 +1,67 @@
+// --- DECIMAL-AWARE AMOUNTS ---
+// Human amounts ("1,000.5", "1k", "2.5m") are converted to atomic units with BigInt using the
+// token's real decimals, so nothing is ever computed by the LLM or through floating point.
+const SUFFIXES = { k: 3, m: 6, b: 9 };
+const HUMAN_AMOUNT = /^(\d*)(?:\.(\d*))?([kmb])?$/i;
+// Commas only as thousands separators: "1,000" and "12,345.5" but not "1,5" (a decimal comma) or "1,00"
+const GROUPED_WHOLE = /^\d{1,3}(,\d{3})+(?=[.kmb]|$)/i;
+
+// "1,000.5" -> { whole: "1000", fraction: "5" }; suffixes shift the decimal point
+function parseHumanAmount(input) {
+    const trimmed = String(input ?? '').trim();
+    const grouped = trimmed.includes(',') && GROUPED_WHOLE.test(trimmed) && !trimmed.replace(GROUPED_WHOLE, '').includes(',');
+    const raw = grouped ? trimmed.replace(/,/g, '') : trimmed;
+    const match = raw.match(HUMAN_AMOUNT);
+    if (!raw || !match || (!match[1] && !match[2])) {
+        throw new Error(`Invalid amount "${input}". Use a number like "1000", "1,000.5" or "1k".`);
+    }
+
+    let whole = match[1] || '0';
+    let fraction = match[2] || '';
+    const shift = match[3] ? SUFFIXES[match[3].toLowerCase()] : 0;
+    if (shift) {
+        const padded = fraction.padEnd(shift, '0');
+        whole += padded.slice(0, shift);
+        fraction = padded.slice(shift);
+    }
+
+    whole = whole.replace(/^0+(?=\d)/, '');
+    fraction = fraction.replace(/0+$/, '');
+    return { whole, fraction };
+}
+
+function toAtomicUnits(input, decimals) {
+    const dec = Number(decimals);
+    if (!Number.isInteger(dec) || dec < 0) throw new Error(`Invalid token decimals "${decimals}"`);
+
+    const { whole, fraction } = parseHumanAmount(input);
+    if (fraction.length > dec) {
+        throw new Error(`Amount "${input}" has more decimal places than the token supports (${dec}).`);
+    }
+
+    const atomic = BigInt(whole) * 10n ** BigInt(dec) + BigInt(fraction.padEnd(dec, '0') || '0');
+    if (atomic === 0n) throw new Error(`Amount "${input}" must be greater than zero.`);
+    return atomic.toString();
+}
+
+// Atomic string -> plain decimal string, e.g. ("1000500000", 6) -> "1000.5"
+function fromAtomicUnits(atomic, decimals) {
+    const value = BigInt(atomic);
+    const dec = BigInt(decimals);
+    const base = 10n ** dec;
+    const sign = value < 0n ? '-' : '';
+    const abs = value < 0n ? -value : value;
+    const fraction = (abs % base).toString().padStart(Number(dec), '0').replace(/0+$/, '');
+    return `${sign}${abs / base}${fraction ? `.${fraction}` : ''}`;
+}
+
+// Display form with thousands separators and capped precision, e.g. "1,000.5 USDC"
+function formatTokenAmount(atomic, decimals, symbol, maxFractionDigits = 6) {
+    if (atomic === undefined || atomic === null || decimals === undefined || decimals === null) return null;
+    const [whole, fraction = ''] = fromAtomicUnits(atomic, decimals).split('.');
+    const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    const shown = fraction.slice(0, maxFractionDigits).replace(/0+$/, '');
+    return `${grouped}${shown ? `.${shown}` : ''}${symbol ? ` ${symbol}` : ''}`;
+}
+
+module.exports = { parseHumanAmount, toAtomicUnits, fromAtomicUnits, formatTokenAmount };
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { getBridgeOptions } = require('./tools');
+const { formatUsd } = require('./format');
+const { VERDICTS } = require('./risk');
+
+// --- BATCH TRANSFER ANALYSIS ---
+// Treasury-style input: a CSV (header row) or JSONL file with one transfer per row/line.
+// Columns: fromChain, toChain, token, amount, plus optional toToken and label.
+// Each row is compared with getBridgeOptions, a few at a time, and rolled up into one report.
+// A bad row is reported as failed; it doesn't stop the others.
+const DEFAULT_CONCURRENCY = 4;
+const FIELDS = ['fromChain', 'toChain', 'token', 'amount', 'toToken', 'label'];
+const REQUIRED = ['fromChain', 'toChain', 'token', 'amount'];
+
+// Exit codes for the batch command: the worst outcome across all rows wins, and codes grow
+// from best to worst so `exit >= n` scripts work. A row that couldn't be analyzed is worst of
+// all: nothing is known about it, and it must not hide behind a CAUTION elsewhere in the file.
+const OUTCOMES = ['SECURE', 'CAUTION', 'UNVERIFIED', 'DANGER', 'FAILED']; // best -> worst
+const EXIT_CODES = Object.fromEntries(OUTCOMES.map((outcome, code) => [outcome, code]));
+
+// "From Chain", "from_chain" and "fromChain" all name the same column
+const fieldKey = (name) => String(name).toLowerCase().replace(/[^a-z]/g, '');
+const FIELD_BY_KEY = Object.fromEntries(FIELDS.map(f => [fieldKey(f), f]));
+
+// RFC 4180-style: quoted fields may contain commas ("1,000"), doubled quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+function toTransfer(record, line) {
+    const transfer = { line };
+    for (const [name, value] of Object.entries(record)) {
+        const field = FIELD_BY_KEY[fieldKey(name)];
+        if (field && value !== undefined && value !== null && String(value).trim() !== '') transfer[field] = String(value).trim();
+    }
+    const missing = REQUIRED.filter(f => !transfer[f]);
+    if (missing.length) transfer.error = `Missing ${missing.join(', ')}`;
+    return transfer;
+}
+
+// File -> transfers, each tagged with its line number for the report
+function readTransfers(file) {
+    const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+    const ext = path.extname(file).toLowerCase();
+
+    if (ext === '.jsonl' || ext === '.ndjson') {
+        return text.split(/\r?\n/)
+            .map((raw, i) => ({ raw: raw.trim(), line: i + 1 }))
+            .filter(({ raw }) => raw && !raw.startsWith('//'))
+            .map(({ raw, line }) => {
+                try {
+                    return toTransfer(JSON.parse(raw), line);
+                } catch (e) {
+                    return { line, error: `Invalid JSON: ${e.message}` };
+                }
+            });
+    }
+    if (ext === '.csv') {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) return [];
+        const unknown = header.filter(h => !FIELD_BY_KEY[fieldKey(h)]);
+        if (unknown.length) throw new Error(`Unknown CSV column(s) ${unknown.join(', ')}. Expected: ${FIELDS.join(', ')}`);
+        return rows.map((cells, i) => toTransfer(Object.fromEntries(header.map((h, j) => [h, cells[j]])), i + 2));
+    }
+    throw new Error(`Unsupported batch file "${file}": use .csv or .jsonl`);
+}
+
+// Runs `worker` over `items` with at most `limit` in flight, keeping input order
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await worker(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+    return results;
+}
+
+async function analyzeTransfer(transfer, { strategy }) {
+    const row = {
+        line: transfer.line,
+        label: transfer.label || null,
+        transfer: REQUIRED.some(f => transfer[f])
+            ? `${transfer.amount ?? '?'} ${transfer.token ?? '?'} ${transfer.fromChain ?? '?'} -> ${transfer.toChain ?? '?'}${transfer.toToken ? ` (to ${transfer.toToken})` : ''}`
+            : null
+    };
+    if (transfer.error) return { ...row, success: false, error: transfer.error };
+
+    const result = await getBridgeOptions(transfer.fromChain, transfer.toChain, transfer.token, transfer.amount, transfer.toToken, { strategy });
+    if (!result.success) return { ...row, success: false, error: result.error };
+
+    const best = result.options[0];
+    if (!best) return { ...row, success: false, error: 'No routes found' };
+    return {
+        ...row,
+        success: true,
+        recommendation: best.bridge,
+        securityVerdict: best.securityVerdict,
+        riskScore: best.riskScore,
+        securityReason: best.securityReason,
+        amountInHuman: best.amountInHuman,
+        amountOutHuman: best.amountOutHuman,
+        protocolFeeUSD: parseFloat(best.protocolFeeUSD) || 0,
+        aggregatorFeeUSD: parseFloat(best.aggregatorFeeUSD) || 0,
+        gasCostUSD: parseFloat(best.gasCostUSD) || 0,
+        netCostUSD: best.netCostUSD,
+        executionDuration: best.executionDuration,
+        maxSafeTransferUsd: best.exposure?.max_safe_transfer_usd ?? null,
+        // A safer route exists when the recommendation itself isn't SECURE
+        saferAlternative: best.securityVerdict !== 'SECURE'
+            ? (result.options.find(o => o.securityVerdict === 'SECURE')?.bridge ?? null)
+            : null,
+        warnings: result.warnings || [],
+        degraded: best.degraded || []
+    };
+}
+
+function worstOutcome(rows) {
+    let worst = 'SECURE';
+    for (const row of rows) {
+        const outcome = row.success ? row.securityVerdict : 'FAILED';
+        if (OUTCOMES.indexOf(outcome) > OUTCOMES.indexOf(worst)) worst = outcome;
+    }
+    return worst;
+}
+
+const sum = (rows, key) => Number(rows.reduce((total, r) => total + (r[key] || 0), 0).toFixed(4));
+
+async function runBatch(transfers, { concurrency = DEFAULT_CONCURRENCY, strategy, onRow = () => { } } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error(`concurrency must be a positive integer, got ${concurrency}`);
+    const rows = await mapWithConcurrency(transfers, concurrency, async (transfer) => {
+        const row = await analyzeTransfer(transfer, { strategy });
+        onRow(row);
+        return row;
+    });
+
+    const analyzed = rows.filter(r => r.success);
+    const verdicts = Object.fromEntries(VERDICTS.map(v => [v, analyzed.filter(r => r.securityVerdict === v).length]));
+    const worst = worstOutcome(rows);
+
+    return {
+        success: true,
+        rows,
+        totals: {
+            transfers: rows.length,
+            analyzed: analyzed.length,
+            failed: rows.length - analyzed.length,
+            verdicts,
+            protocolFeeUSD: sum(analyzed, 'protocolFeeUSD'),
+            aggregatorFeeUSD: sum(analyzed, 'aggregatorFeeUSD'),
+            gasCostUSD: sum(analyzed, 'gasCostUSD'),
+            netCostUSD: sum(analyzed, 'netCostUSD')
+        },
+        dangerRows: analyzed.filter(r => r.securityVerdict === 'DANGER').map(r => ({ line: r.line, label: r.label, transfer: r.transfer, recommendation: r.recommendation, securityReason: r.securityReason })),
+        failedRows: rows.filter(r => !r.success).map(r => ({ line: r.line, label: r.label, transfer: r.transfer, error: r.error })),
+        worstVerdict: worst,
+        exitCode: EXIT_CODES[worst],
+        summary: summarizeBatch(rows, analyzed, worst)
+    };
+}
+
+function summarizeBatch(rows, analyzed, worst) {
+    if (!rows.length) return 'The batch file has no transfers.';
+    const parts = [`${analyzed.length} of ${rows.length} transfers analyzed; total net cost ${formatUsd(sum(analyzed, 'netCostUSD'))}.`];
+    const danger = analyzed.filter(r => r.securityVerdict === 'DANGER').length;
+    if (danger) parts.push(`${danger} recommended route${danger > 1 ? 's are' : ' is'} DANGER; review before sending.`);
+    const unverified = analyzed.filter(r => r.securityVerdict === 'UNVERIFIED').length;
+    if (unverified) parts.push(`${unverified} recommended route${unverified > 1 ? 's are' : ' is'} UNVERIFIED (security data unavailable); re-run before sending.`);
+    if (rows.length > analyzed.length) parts.push(`${rows.length - analyzed.length} row${rows.length - analyzed.length > 1 ? 's' : ''} failed.`);
+    parts.push(`Worst outcome: ${worst}.`);
+    return parts.join(' ');
+}
+
+module.exports = { readTransfers, runBatch, parseCsv, mapWithConcurrency, EXIT_CODES };
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const source = require('./datasource');
+
+// --- PERSISTENT TTL CACHE ---
+// On-disk cache for slow-moving upstream data (DefiLlama protocols, TVL, hacks; Li.Fi chains).
+// Each endpoint has a TTL (fresh window) and a stale window: inside the stale window
+// the cached value is served immediately and refreshed in the background.
+const TTLS = {
+    protocols: { ttl: 6 * 3600, stale: 24 * 3600 },
+    protocol: { ttl: 15 * 60, stale: 6 * 3600 },
+    hacks: { ttl: 3600, stale: 24 * 3600 },
+    chains: { ttl: 24 * 3600, stale: 7 * 24 * 3600 }
+};
+
+const memory = new Map();
+const inflight = new Map();
+
+function cacheDir() {
+    return process.env.BRIDGE_CACHE_DIR || path.join(process.cwd(), '.cache', 'bridgesafety');
+}
+
+function fileFor(key) {
+    const safe = key.replace(/[^a-z0-9._-]+/gi, '_').slice(0, 60);
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 8);
+    return path.join(cacheDir(), `${safe}-${hash}.json`);
+}
+
+function readEntry(key) {
+    if (memory.has(key)) return memory.get(key);
+    try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+        memory.set(key, entry);
+        return entry;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeEntry(key, data) {
+    const entry = { key, fetchedAt: Date.now(), data };
+    memory.set(key, entry);
+    try {
+        fs.mkdirSync(cacheDir(), { recursive: true });
+        fs.writeFileSync(fileFor(key), JSON.stringify(entry));
+    } catch (e) {
+        // A read-only disk only costs us persistence, the in-memory copy still works
+    }
+    return entry;
+}
+
+function describe(entry, { stale = false, hit = true } = {}) {
+    return {
+        data: entry.data,
+        fetchedAt: new Date(entry.fetchedAt).toISOString(),
+        ageSeconds: Math.max(0, Math.round((Date.now() - entry.fetchedAt) / 1000)),
+        stale,
+        hit
+    };
+}
+
+// Deduplicate concurrent fetches of the same key (e.g. three routes asking for /hacks at once)
+function refresh(key, fetcher) {
+    if (!inflight.has(key)) {
+        const p = Promise.resolve()
+            .then(fetcher)
+            .then(data => writeEntry(key, data))
+            .finally(() => inflight.delete(key));
+        inflight.set(key, p);
+    }
+    return inflight.get(key);
+}
+
+/**
+ * Returns `{ data, fetchedAt, ageSeconds, stale, hit }` for `key`, calling `fetcher` when needed.
+ * `endpoint` selects the TTL policy from TTLS.
+ */
+async function cached(endpoint, key, fetcher) {
+    // Record/replay must see every request, so the cache steps aside outside live mode
+    if (source.getConfig().mode !== 'live') {
+        return describe({ fetchedAt: source.now(), data: await fetcher() }, { hit: false });
+    }
+
+    const policy = TTLS[endpoint] || { ttl: 0, stale: 0 };
+    const entry = readEntry(key);
+    const age = entry ? (Date.now() - entry.fetchedAt) / 1000 : Infinity;
+
+    if (entry && age <= policy.ttl) return describe(entry);
+
+    if (entry && age <= policy.ttl + policy.stale) {
+        refresh(key, fetcher).catch(() => { });
+        return describe(entry, { stale: true });
+    }
+
+    try {
+        return describe(await refresh(key, fetcher), { hit: false });
+    } catch (e) {
+        // Upstream is down: an expired entry is still better than nothing, but say so
+        if (entry) return describe(entry, { stale: true });
+        throw e;
+    }
+}
+
+// Drop one key, every key starting with `prefix` (when it ends in '*'), or everything
+function invalidate(pattern) {
+    const matches = (key) => !pattern
+        || (pattern.endsWith('*') ? key.startsWith(pattern.slice(0, -1)) : key === pattern);
+
+    for (const key of [...memory.keys()]) {
+        if (matches(key)) memory.delete(key);
+    }
+
+    let removed = 0;
+    let files = [];
+    try {
+        files = fs.readdirSync(cacheDir()).filter(f => f.endsWith('.json'));
+    } catch (e) {
+        return removed;
+    }
+    for (const f of files) {
+        const file = path.join(cacheDir(), f);
+        try {
+            const { key } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (matches(key)) {
+                fs.unlinkSync(file);
+                removed++;
+            }
+        } catch (e) {
+            // Ignore half-written or foreign files
+        }
+    }
+    return removed;
+}
+
+module.exports = { cached, invalidate, TTLS };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const source = require('./datasource');
+const { cached } = require('./cache');
+
+// --- CHAIN REGISTRY ---
+// Chains come from Li.Fi's /v1/chains (cached), merged with data/chain-registry.json,
+// which adds our aliases ("arb", "op", "matic") and L2 metadata (rollup type and stage).
+// When Li.Fi is unreachable the local file alone is used, and /v1/chains isn't asked again
+// for RETRY_AFTER_MS, so resolving several chains per quote doesn't retry it every time.
+// Unknown names fail with a "did you mean" error instead of reaching the APIs.
+const REGISTRY_PATH = path.join(__dirname, '..', 'data', 'chain-registry.json');
+const DEFAULT_CHAIN_ID = 1;
+const RETRY_AFTER_MS = 60 * 1000;
+
+class UnknownChainError extends Error {
+    constructor(input, suggestions) {
+        const hint = suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+        super(`Unknown chain "${input}".${hint}`);
+        this.code = 'UNKNOWN_CHAIN';
+        this.input = input;
+        this.suggestions = suggestions;
+    }
+}
+
+let localData = null;
+let merged = null; // { lifiData, registry } for the last Li.Fi payload seen
+let localRegistry = null;
+let failedUntil = 0;
+
+function loadLocalChains() {
+    if (!localData) localData = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    return localData;
+}
+
+function buildRegistry(lifiChains = []) {
+    const byId = new Map();
+    const byAlias = new Map();
+    const local = new Map(loadLocalChains().chains.map(c => [c.id, c]));
+
+    for (const lifi of lifiChains) {
+        const extra = local.get(lifi.id);
+        byId.set(lifi.id, {
+            id: lifi.id,
+            key: lifi.key,
+            name: lifi.name,
+            chainType: lifi.chainType || extra?.chainType || 'EVM',
+            nativeToken: lifi.nativeToken
+                ? { symbol: lifi.nativeToken.symbol, decimals: lifi.nativeToken.decimals, address: lifi.nativeToken.address }
+                : extra?.nativeToken || { symbol: lifi.coin, decimals: null },
+            l2: extra?.l2 ?? null,
+            aliases: extra?.aliases || [],
+            rpcUrls: lifi.metamask?.rpcUrls || extra?.rpcUrls || [],
+            source: extra ? 'lifi+local' : 'lifi'
+        });
+    }
+    // Chains only known locally still resolve, e.g. when Li.Fi's list is unavailable
+    for (const chain of local.values()) {
+        if (!byId.has(chain.id)) byId.set(chain.id, { ...chain, source: 'local' });
+    }
+
+    for (const chain of byId.values()) {
+        const names = [chain.key, chain.name, ...chain.aliases].filter(Boolean);
+        names.forEach(n => byAlias.set(String(n).toLowerCase(), chain.id));
+    }
+    return { byId, byAlias };
+}
+
+async function loadChainRegistry() {
+    let lifiData = null;
+    if (Date.now() >= failedUntil) {
+        try {
+            const res = await cached('chains', 'lifi:chains', async () => {
+                // Its own circuit: a failing chain list must not open the breaker in front of quotes
+                const res = await source.get('https://li.quest/v1/chains', { timeout: 10000, params: { chainTypes: 'EVM,SVM' }, circuit: 'chains' });
+                return res.data;
+            });
+            lifiData = res.data;
+        } catch (e) {
+            // Local aliases are enough to keep resolving the common chains
+            failedUntil = Date.now() + RETRY_AFTER_MS;
+        }
+    }
+    if (!merged || merged.lifiData !== lifiData) {
+        merged = { lifiData, registry: buildRegistry(lifiData?.chains || []) };
+    }
+    return merged.registry;
+}
+
+// Plain edit distance, enough to catch "arbitrm" or "optimsm"
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = current;
+        }
+    }
+    return row[b.length];
+}
+
+function suggestChains(input, registry, limit = 3) {
+    const key = input.toLowerCase();
+    const maxDistance = Math.max(1, Math.floor(key.length / 3));
+    const scored = [];
+    for (const [alias, id] of registry.byAlias) {
+        const distance = alias.startsWith(key) ? 0.5 : editDistance(key, alias);
+        if (distance <= maxDistance) scored.push({ alias, id, distance });
+    }
+    const seen = new Set();
+    return scored
+        .sort((a, b) => a.distance - b.distance || a.alias.length - b.alias.length)
+        .filter(s => !seen.has(s.id) && seen.add(s.id))
+        .slice(0, limit)
+        .map(s => s.alias);
+}
+
+// Name, alias, Li.Fi key or chain id -> chain record. Throws UnknownChainError.
+async function resolveChain(input) {
+    const registry = await loadChainRegistry();
+    if (input === undefined || input === null || input === '') return registry.byId.get(DEFAULT_CHAIN_ID);
+
+    const key = String(input).toLowerCase().trim();
+    const id = /^\d+$/.test(key) ? Number(key) : registry.byAlias.get(key);
+    const chain = registry.byId.get(id);
+    if (!chain) throw new UnknownChainError(input, suggestChains(key, registry));
+    return chain;
+}
+
+// Synchronous alias check for the intent parser: local aliases plus any Li.Fi names loaded so far
+function isChainAlias(word) {
+    if (!merged && !localRegistry) localRegistry = buildRegistry();
+    const registry = merged?.registry || localRegistry;
+    return registry.byAlias.has(String(word).toLowerCase());
+}
+
+async function listChains() {
+    const registry = await loadChainRegistry();
+    return [...registry.byId.values()];
+}
+
+module.exports = { resolveChain, listChains, isChainAlias, loadChainRegistry, suggestChains, UnknownChainError };
@@ -1,135 +1,202 @@
-require('dotenv').config();
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true }); // keep stdout clean for --json
 const readline = require('readline');
-const { graph } = require('./graph');
+const { Command } = require('commander');
 const { HumanMessage } = require("@langchain/core/messages");
+const { registerCommands, print } = require('./commands');
+const { renderTable } = require('./format');
+const { listSessions, getSession, getSessionMessages, renameSession, deleteSession, sessionsDir } = require('./sessions');
+
+// --- CHAT REPL (default command) ---
+// The graph (and its LLM) is only loaded here, so scripted subcommands need no credentials.
+// History lives in the graph's checkpointer, keyed by thread_id, so each turn only
+// sends the new message and `--session <id>` picks a conversation back up.
+async function startChat(options = {}) {
+    const { graph } = require('./graph');
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
 
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-});
-
-const threadId = "cli-session-" + Date.now();
-const config = { configurable: { thread_id: threadId } };
-
-// Memory for the session (LangGraph graph invocation usually takes full state if no checkpointer, 
-// OR input messages which are appended. 
-// "graph" from ./graph.js was compiled WITHOUT checkpointer in the previous step's code.
-// *Correction*: In the previous step for `server.js`, I noted that without a checkpointer, we must pass full history.
-// However, `graph.js` as implemented uses `MessagesAnnotation` which expects a list of messages. 
-// If we invoke it with JUST the new message, and the graph doesn't have persistence, it might not see history.
-// BUT `StateGraph` with `addConditionalEdges` typically returns the NEW state. 
-// So we need to accumulate messages manually in this CLI script if the graph is stateless.
-// Let's do that: `currentState` variable.
-
-let currentMessages = [];
-
-console.log("\n  Bridge Safety Agent (CLI)");
-console.log("-----------------------------------");
-console.log("Type your request. (e.g., 'send 100 usdc from base to arbitrum')");
-console.log("Type 'exit' to quit.\n");
-
-// --- SPINNER LOGIC ---
-let spinnerInterval;
-function startSpinner(msg = "Thinking") {
-    const chars = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-    let i = 0;
-    process.stdout.write(`\r${chars[0]} ${msg}...`); // Initial write
-
-    spinnerInterval = setInterval(() => {
-        i = (i + 1) % chars.length;
-        process.stdout.write(`\r${chars[i]} ${msg}...`);
-    }, 80);
-}
+    const threadId = options.session || "cli-session-" + Date.now();
+    const config = { configurable: { thread_id: threadId } };
 
-function stopSpinner() {
-    clearInterval(spinnerInterval);
-    process.stdout.write('\r\x1b[K'); // Clear line
-}
+    console.log("\n  Bridge Safety Agent (CLI)");
+    console.log("-----------------------------------");
 
-function ask() {
-    rl.question('You: ', async (input) => {
-        if (input.toLowerCase() === 'exit') {
-            rl.close();
-            return;
+    if (options.session) {
+        const state = await graph.getState(config);
+        const history = state.values.messages || [];
+        if (!history.length) {
+            console.log(`No saved session "${threadId}", starting a new one with that id.`);
+        } else {
+            console.log(`Resuming session ${threadId} (${history.length} messages).\n`);
+            console.log(`${formatTranscript(history.slice(-4))}\n`);
         }
+    } else {
+        console.log(`Session: ${threadId} (resume later with --session ${threadId})`);
+    }
+
+    console.log("Type your request. (e.g., 'send 100 usdc from base to arbitrum')");
+    console.log("Type 'exit' to quit.\n");
+
+    // --- SPINNER LOGIC ---
+    let spinnerInterval;
+    function startSpinner(msg = "Thinking") {
+        const chars = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+        let i = 0;
+        process.stdout.write(`\r${chars[0]} ${msg}...`); // Initial write
+
+        spinnerInterval = setInterval(() => {
+            i = (i + 1) % chars.length;
+            process.stdout.write(`\r${chars[i]} ${msg}...`);
+        }, 80);
+    }
+
+    function stopSpinner() {
+        clearInterval(spinnerInterval);
+        process.stdout.write('\r\x1b[K'); // Clear line
+    }
+
+    function ask() {
+        rl.question('You: ', async (input) => {
+            if (input.toLowerCase() === 'exit') {
+                rl.close();
+                return;
+            }
 
-        try {
-            // Append user message
-            const userMsg = new HumanMessage(input);
-            currentMessages.push(userMsg);
-
-            // Start the spinner
-            startSpinner();
-
-            // Use stream() to get updates as the agent works
-            let finalState = { messages: [] };
-
-            // We pass the full history (currentMessages) + the new user message (userMsg) implicitly?
-            // Wait, currentMessages ALREADY contains userMsg from line 59.
-            // So we invoke with { messages: currentMessages }
-
-            const stream = await graph.stream({ messages: currentMessages }, config);
+            try {
+                startSpinner();
 
-            for await (const chunk of stream) {
-                // chunk is usually keyed by the node name, e.g. { agent: { messages: [...] } }
-                for (const [node, update] of Object.entries(chunk)) {
-                    // Update our final state tracking with the latest chunk's messages
-                    // 'update.messages' is usually just the new messages added in that step.
-                    // We can rely on the fact that we will get the final state at the end or reconstruct it.
-                    // For simply displaying the spinner, we check the chunk.
+                // The checkpointer appends this to the saved history for thread_id
+                const stream = await graph.stream({ messages: [new HumanMessage(input)] }, config);
+                let lastMsg = null;
 
-                    if (node === 'agent') {
-                        // Check if the agent wants to call a tool
-                        const messages = update.messages;
-                        const lastMsg = messages[messages.length - 1];
+                for await (const chunk of stream) {
+                    // chunk is keyed by the node name, e.g. { agent: { messages: [...] } }
+                    for (const [node, update] of Object.entries(chunk)) {
+                        // Removals and verifier notes are bookkeeping from the verify node, not replies
+                        const replies = (update?.messages || []).filter(m => m._getType() !== 'remove' && m.name !== 'verifier');
+                        if (node === 'verify' && update?.verification?.status === 'retry') {
+                            stopSpinner();
+                            startSpinner("Correcting Figures");
+                        }
+                        if (!replies.length) continue;
+                        lastMsg = replies[replies.length - 1];
 
-                        if (lastMsg.tool_calls && lastMsg.tool_calls.length > 0) {
+                        if (node === 'agent' && lastMsg.tool_calls && lastMsg.tool_calls.length > 0) {
                             const tc = lastMsg.tool_calls[0];
                             let statusMsg = "Thinking";
                             if (tc.name === 'get_token_details') statusMsg = "Finding Tokens";
                             else if (tc.name === 'get_bridge_options') statusMsg = "Scanning Bridges";
                             else if (tc.name === 'get_security_stats') statusMsg = "Checking Security";
                             else if (tc.name === 'get_route') statusMsg = "Calculating Route";
+                            else if (tc.name === 'track_transfer') statusMsg = "Tracking Transfer";
 
                             stopSpinner();
                             startSpinner(statusMsg);
+                        } else if (node === 'tools') {
+                            // Tools finished
+                            stopSpinner();
+                            startSpinner("Analyzing Data");
                         }
-                    } else if (node === 'tools') {
-                        // Tools finished
-                        stopSpinner();
-                        startSpinner("Analyzing Data");
-                    }
-
-                    // We need to keep our `currentMessages` in sync.
-                    // If `chunk` returns the DELTA messages (which it usually does for StateGraph),
-                    // we should append them. 
-                    // However, `update.messages` might be an array of the *new* messages?
-                    // Let's safe bet: Get the full state at the end if possible.
-                    // But `stream` yields partials.
-                    // Let's accumulate `finalState`.
-                    if (update.messages) {
-                        finalState.messages.push(...update.messages);
                     }
                 }
-            }
 
-            stopSpinner();
+                stopSpinner();
+                console.log(`\nAgent: ${lastMsg ? lastMsg.content : ''}\n`);
 
-            // Synchronize our main history
-            currentMessages.push(...finalState.messages);
+            } catch (error) {
+                stopSpinner(); // Ensure spinner stops on error
+                console.error("\nError:", error.message, "\n");
+            }
 
-            // Get the last message (Assistant's response)
-            const lastMsg = currentMessages[currentMessages.length - 1];
+            ask();
+        });
+    }
 
-            console.log(`\nAgent: ${lastMsg.content}\n`);
+    ask();
+}
 
-        } catch (error) {
-            stopSpinner(); // Ensure spinner stops on error
-            console.error("\nError:", error.message, "\n");
-        }
+// Human and final agent messages only; tool traffic is noise in a transcript
+function formatTranscript(messages) {
+    return messages
+        .filter(m => (m._getType() === 'human' && m.name !== 'verifier') || (m._getType() === 'ai' && m.content))
+        .map(m => `${m._getType() === 'human' ? 'You' : 'Agent'}: ${m.content}`)
+        .join('\n\n');
+}
 
-        ask();
-    });
+// --- SESSION MANAGEMENT ---
+function registerSessionCommands(program) {
+    const sessions = program
+        .command('sessions')
+        .description('List, show, rename or delete saved chat sessions');
+
+    sessions
+        .command('list', { isDefault: true })
+        .description('List saved sessions, most recent first')
+        .option('--json', 'Print structured JSON')
+        .action((options) => {
+            const result = { success: true, sessions: listSessions() };
+            print(result, options, r => r.sessions.length
+                ? renderTable([
+                    { key: 'id', label: 'Session' },
+                    { key: 'name', label: 'Name' },
+                    { key: 'messageCount', label: 'Messages' },
+                    { key: 'updatedAt', label: 'Updated' },
+                    { key: 'title', label: 'First Message' }
+                ], r.sessions)
+                : `No saved sessions in ${sessionsDir()}`);
+        });
+
+    sessions
+        .command('show <id>')
+        .description('Print the conversation in a session')
+        .option('--json', 'Print structured JSON')
+        .action(async (id, options) => {
+            const session = getSession(id);
+            if (!session) return print({ success: false, error: `No saved session "${id}"` }, options);
+
+            const messages = await getSessionMessages(id);
+            const result = {
+                success: true,
+                session,
+                messages: messages.map(m => ({ role: m._getType(), content: m.content }))
+            };
+            print(result, options, () => formatTranscript(messages) || '(no messages)');
+        });
+
+    sessions
+        .command('rename <id> <name>')
+        .description('Give a session a memorable name')
+        .option('--json', 'Print structured JSON')
+        .action((id, name, options) => {
+            const session = renameSession(id, name);
+            const result = session ? { success: true, session } : { success: false, error: `No saved session "${id}"` };
+            print(result, options, r => `Renamed ${r.session.id} to "${r.session.name}"`);
+        });
+
+    sessions
+        .command('delete <id>')
+        .description('Delete a saved session')
+        .option('--json', 'Print structured JSON')
+        .action((id, options) => {
+            const result = deleteSession(id) ? { success: true, deleted: id } : { success: false, error: `No saved session "${id}"` };
+            print(result, options, r => `Deleted session ${r.deleted}`);
+        });
 }
 
-ask();
+const program = new Command()
+    .name('bridgesafety')
+    .description('Bridge Safety Agent: chat with no arguments, or run a subcommand for scriptable output')
+    .option('-s, --session <id>', 'Resume a saved chat session')
+    .action(startChat);
+
+registerCommands(program);
+registerSessionCommands(program);
+
+program.parseAsync(process.argv).catch((error) => {
+    console.error("Error:", error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,589 @@
+const fs = require('fs');
+const { InvalidArgumentError } = require('commander');
+const { getRoute, getBridgeOptions, getSecurityStats, calculateRiskScore, getTokenDetails, getSupportedBridges, getSupportedChains } = require('./tools');
+const { planSplitTransfer } = require('./splitPlanner');
+const { readTransfers, runBatch, EXIT_CODES } = require('./batch');
+const { getStrategy } = require('./ranking');
+const { buildReport, renderReport, FORMATS } = require('./report');
+const { trackTransfer } = require('./tracking');
+const { addWatch, removeWatch, loadWatches, runWatches, watchesFile } = require('./watcher');
+const { formatUsd, formatUsdMillions, formatDuration, renderTable, renderKeyValue } = require('./format');
+
+// --- NON-INTERACTIVE COMMANDS ---
+// Each command calls tools.js directly (no LLM) and returns `{ success, ... }`.
+// `print` renders it as a human table, or as JSON with --json, and sets the exit code.
+
+function print(result, options, renderHuman) {
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (result.success) {
+        console.log(renderHuman(result));
+    } else {
+        console.error(`Error: ${result.error}`);
+    }
+    if (!result.success) process.exitCode = 1;
+}
+
+// Bridged / wrapped destination token warnings and data that couldn't be fetched, printed under the result
+function renderWarnings(result) {
+    return [
+        ...(result.warnings || []).map(w => `Warning: ${w}`),
+        ...(result.degraded || []).map(d => `Unavailable: ${d.bridge ? `${d.bridge} ` : ''}${d.data.replace('_', ' ')} data (${d.reason})`)
+    ];
+}
+
+function renderQuote(route) {
+    const details = renderKeyValue([
+        ['Bridge', route.bridgeName],
+        ['Amount In', route.amountInHuman || route.amountIn],
+        ['Net Output', route.amountOutHuman || route.amountOut],
+        ['Bridge Fee', formatUsd(route.protocolFeeUSD)],
+        ['Li.Fi Fee', parseFloat(route.aggregatorFeeUSD) > 0 ? formatUsd(route.aggregatorFeeUSD) : '-'],
+        ['Gas Cost', formatUsd(route.gasCostUSD)],
+        ['Est. Duration', route.estimatedTime]
+    ]);
+    return [details, renderTransaction(route), ...renderWarnings(route)].join('\n\n');
+}
+
+// The unsigned transaction and the approval it needs, as decoded by transaction.js
+function renderTransaction(route) {
+    const tx = route.transaction;
+    if (!route.sender) return renderKeyValue([['Sender', 'Not configured'], ['Transaction', 'Not checked (pass --from-address)']]);
+    const method = (m, data) => m.signature || `${m.selector}${data ? ` (Li.Fi bridge call via ${data.bridge})` : ' (unknown method)'}`;
+    return renderKeyValue([
+        ['Sender', route.sender],
+        ['Recipient', route.recipient],
+        ['Contract', tx ? `${tx.to} (${tx.contract.name || 'unknown contract'})` : 'No transaction returned'],
+        ['Method', tx ? method(tx.method, tx.bridgeData) : undefined],
+        ['Value', tx?.valueHuman],
+        ['Delivers To', tx?.bridgeData ? `${tx.bridgeData.receiver} on chain ${tx.bridgeData.destinationChainId}` : undefined],
+        ['Approval', renderApproval(route.approval)]
+    ]);
+}
+
+function renderApproval(approval) {
+    if (!approval) return undefined;
+    if (!approval.spender) return approval.reason;
+    const spender = `${approval.spender} (${approval.spenderName || 'unknown contract'})`;
+    if (approval.allowanceError) return `${approval.amountHuman} to ${spender}; current allowance unknown: ${approval.allowanceError}`;
+    return approval.required
+        ? `${approval.amountHuman} to ${spender}; current allowance ${approval.currentAllowanceHuman}`
+        : `Not needed: ${spender} already has ${approval.currentAllowanceHuman}`;
+}
+
+function renderOptions(result) {
+    const rows = result.options.map(o => ({
+        rank: o.rank,
+        bridge: o.bridge,
+        output: o.amountOutHuman || o.amountOut,
+        bridgeFee: formatUsd(o.protocolFeeUSD),
+        lifiFee: parseFloat(o.aggregatorFeeUSD) > 0 ? formatUsd(o.aggregatorFeeUSD) : '-',
+        gas: formatUsd(o.gasCostUSD),
+        netCost: formatUsd(o.netCostUSD),
+        maxSafe: formatUsdMillions(o.exposure?.max_safe_transfer_usd),
+        duration: o.executionDuration,
+        risk: `${o.securityVerdict} (${o.riskScore}) ${o.tvl}`
+    }));
+    const table = renderTable([
+        { key: 'rank', label: '#' },
+        { key: 'bridge', label: 'Bridge' },
+        { key: 'output', label: 'Net Output' },
+        { key: 'bridgeFee', label: 'Bridge Fee' },
+        { key: 'lifiFee', label: 'Li.Fi Fee' },
+        { key: 'gas', label: 'Gas' },
+        { key: 'netCost', label: 'Net Cost' },
+        { key: 'maxSafe', label: 'Max Safe Size' },
+        { key: 'duration', label: 'Est. Duration' },
+        { key: 'risk', label: 'Risk (TVL)' }
+    ], rows);
+
+    const header = `Strategy: ${result.strategy} (${result.options.length} of ${result.candidates} candidates)`;
+    // Multi-hop routes get their hops listed under the table
+    const multiHop = result.options.filter(o => (o.steps || []).length > 1);
+    return [`${header}\n${table}`, result.rankingExplanation, ...renderWarnings(result), ...multiHop.map(renderSteps)].join('\n\n');
+}
+
+function renderSteps(option) {
+    const rows = option.steps.map(s => ({
+        step: s.index === option.weakestStep ? `${s.index + 1}*` : s.index + 1,
+        tool: s.tool,
+        type: s.type,
+        chains: s.fromChainId === s.toChainId ? s.fromChainId : `${s.fromChainId} -> ${s.toChainId}`,
+        fees: formatUsd(parseFloat(s.protocolFeeUSD) + parseFloat(s.aggregatorFeeUSD)),
+        gas: formatUsd(s.gasCostUSD),
+        duration: s.executionDurationSeconds ? s.executionDuration : '-',
+        risk: s.securityVerdict ? `${s.securityVerdict} (${s.riskScore})` : '-'
+    }));
+    return `${option.bridge} steps (* weakest link):\n` + renderTable([
+        { key: 'step', label: '#' },
+        { key: 'tool', label: 'Tool' },
+        { key: 'type', label: 'Type' },
+        { key: 'chains', label: 'Chains' },
+        { key: 'fees', label: 'Fees' },
+        { key: 'gas', label: 'Gas' },
+        { key: 'duration', label: 'Duration' },
+        { key: 'risk', label: 'Risk' }
+    ], rows);
+}
+
+function renderSecurity(result) {
+    const { stats, risk } = result;
+    const summary = renderKeyValue([
+        ['Bridge', stats.bridge],
+        ['Verdict', `${risk.verdict} (${risk.score}/100)`],
+        ['TVL', stats.tvl],
+        ['Recent Hacks', stats.recent_hack_count ?? 'unknown'],
+        ['Trust Model', stats.trust_summary],
+        ['Max Safe Size', stats.max_safe_transfer_usd
+            ? Object.entries(stats.max_safe_transfer_usd).slice(0, 5).map(([chain, usd]) => `${chain} ${formatUsdMillions(usd)}`).join(', ')
+            : undefined],
+        ['Matched As', stats.protocol_match ? `${stats.protocol_match.slug} (${stats.protocol_match.method}, ${stats.protocol_match.confidence} confidence)` : undefined],
+        ['Data Freshness', risk.dataFreshness],
+        ['Policy', `${risk.policy.name} v${risk.policy.version}`]
+    ]);
+    if (!risk.breakdown.length) return [summary, risk.explanation, ...renderWarnings(stats)].join('\n\n');
+
+    const rules = renderTable([
+        { key: 'rule', label: 'Rule' },
+        { key: 'points', label: 'Points' },
+        { key: 'message', label: 'Reason' }
+    ], risk.breakdown.map(b => ({ ...b, points: b.points ? `-${b.points}` : '0' })));
+    return [summary, rules, ...renderWarnings(stats)].join('\n\n');
+}
+
+function renderSplitPlan(plan) {
+    const rows = plan.tranches.map((t, i) => ({
+        tranche: i + 1,
+        bridge: t.bridge,
+        amount: t.amountInHuman,
+        output: t.amountOutHuman,
+        netCost: formatUsd(t.netCostUSD),
+        maxSafe: formatUsdMillions(t.maxSafeTransferUsd),
+        risk: `${t.securityVerdict} (${t.riskScore})`
+    }));
+    const table = renderTable([
+        { key: 'tranche', label: '#' },
+        { key: 'bridge', label: 'Bridge' },
+        { key: 'amount', label: 'Amount' },
+        { key: 'output', label: 'Net Output' },
+        { key: 'netCost', label: 'Net Cost' },
+        { key: 'maxSafe', label: 'Max Safe Size' },
+        { key: 'risk', label: 'Risk' }
+    ], rows);
+
+    const totals = renderKeyValue([
+        ['Total In', plan.amountInHuman],
+        ['Total Out', plan.totals.amountOutHuman],
+        ['Total Net Cost', formatUsd(plan.totals.netCostUSD)],
+        ['Worst-Case Loss', plan.totals.worstCaseLossUSD === null ? 'Unknown' : formatUsd(plan.totals.worstCaseLossUSD)],
+        ['Single Bridge', plan.baseline
+            ? `${plan.baseline.bridge} ${plan.baseline.securityVerdict} (${plan.baseline.riskScore}), net cost ${formatUsd(plan.baseline.netCostUSD)}, worst-case loss ${plan.baseline.worstCaseLossUSD === null ? 'unknown' : formatUsd(plan.baseline.worstCaseLossUSD)}`
+            : `none at ${plan.minVerdict} or better`],
+        ['Unallocated', plan.unallocated],
+        ['Excluded', plan.excluded.length ? plan.excluded.map(e => e.bridge).join(', ') : undefined]
+    ]);
+    return [table, totals, plan.summary, ...renderWarnings(plan)].join('\n\n');
+}
+
+function renderBatch(report) {
+    const rows = report.rows.map(r => ({
+        line: r.line,
+        label: r.label,
+        transfer: r.transfer,
+        bridge: r.success ? r.recommendation : undefined,
+        output: r.amountOutHuman,
+        netCost: r.success ? formatUsd(r.netCostUSD) : undefined,
+        risk: r.success ? `${r.securityVerdict} (${r.riskScore})` : `FAILED: ${r.error}`
+    }));
+    const table = renderTable([
+        { key: 'line', label: 'Line' },
+        { key: 'label', label: 'Label' },
+        { key: 'transfer', label: 'Transfer' },
+        { key: 'bridge', label: 'Recommended' },
+        { key: 'output', label: 'Net Output' },
+        { key: 'netCost', label: 'Net Cost' },
+        { key: 'risk', label: 'Risk' }
+    ], rows);
+
+    const t = report.totals;
+    const totals = renderKeyValue([
+        ['Transfers', `${t.analyzed} analyzed, ${t.failed} failed`],
+        ['Verdicts', Object.entries(t.verdicts).map(([v, n]) => `${n} ${v}`).join(', ')],
+        ['Bridge Fees', formatUsd(t.protocolFeeUSD)],
+        ['Li.Fi Fees', formatUsd(t.aggregatorFeeUSD)],
+        ['Gas', formatUsd(t.gasCostUSD)],
+        ['Net Cost', formatUsd(t.netCostUSD)],
+        ['Worst', report.worstVerdict]
+    ]);
+
+    const danger = report.dangerRows.length
+        ? `DANGER rows:\n${report.dangerRows.map(r => `  - line ${r.line}${r.label ? ` (${r.label})` : ''}: ${r.transfer} via ${r.recommendation}. ${r.securityReason}`).join('\n')}`
+        : null;
+    const warnings = report.rows.filter(r => r.warnings?.length)
+        .map(r => `Warning (line ${r.line}): ${r.warnings.join(' ')}`);
+    return [table, totals, danger, ...warnings, report.summary].filter(Boolean).join('\n\n');
+}
+
+const EXPECTED_FROM = { given: 'as given', quote: 'fresh quote for the same transfer' };
+
+function renderTracking(result) {
+    const side = (s) => s ? `${s.amountHuman ? `${s.amountHuman}, ` : ''}${s.txLink || s.txHash}` : undefined;
+    return [renderKeyValue([
+        ['Stage', `${result.stage.toUpperCase()}${result.substatus ? ` (${result.substatus})` : ''}`],
+        ['Status', result.message],
+        ['Bridge', result.bridge],
+        ['Chains', result.fromChainId && result.toChainId ? `${result.fromChainId} -> ${result.toChainId}` : undefined],
+        ['Sent', side(result.sending)],
+        ['Destination Tx', side(result.receiving) || (result.stage === 'pending' ? 'None yet' : 'None')],
+        ['Elapsed', result.elapsed],
+        ['Expected', result.expectedSeconds ? `${result.expected} (${EXPECTED_FROM[result.expectedSource]})` : result.expected],
+        ['Explorer', result.explorerLink]
+    ]), ...renderWarnings(result)].join('\n\n');
+}
+
+function renderToken(token) {
+    return renderKeyValue([
+        ['Symbol', token.symbol],
+        ['Address', token.address],
+        ['Decimals', token.decimals],
+        ['Chain ID', token.chainId],
+        ['Variant', token.variant],
+        ['Price (USD)', token.priceUSD]
+    ]);
+}
+
+function renderChains(result) {
+    const rows = result.chains.map(c => ({
+        id: c.id,
+        key: c.key,
+        name: c.name,
+        type: c.chainType,
+        native: c.nativeToken?.symbol,
+        l2: c.l2 ? `${c.l2.type}${c.l2.stage ? ` (${c.l2.stage})` : ''}` : null
+    }));
+    return `${result.total} chains:\n` + renderTable([
+        { key: 'id', label: 'ID' },
+        { key: 'key', label: 'Key' },
+        { key: 'name', label: 'Name' },
+        { key: 'type', label: 'Type' },
+        { key: 'native', label: 'Native' },
+        { key: 'l2', label: 'L2' }
+    ], rows);
+}
+
+async function quoteCommand(fromChain, toChain, token, amount, options) {
+    const result = await getRoute(fromChain, toChain, token, amount, options.toToken, { fromAddress: options.fromAddress, toAddress: options.toAddress });
+    print(result, options, renderQuote);
+}
+
+async function compareCommand(fromChain, toChain, token, amount, options) {
+    const result = await getBridgeOptions(fromChain, toChain, token, amount, options.toToken, {
+        strategy: options.strategy,
+        limit: options.limit
+    });
+    print(result, options, renderOptions);
+}
+
+// Every candidate goes in the report unless --limit says otherwise
+async function reportCommand(fromChain, toChain, token, amount, options) {
+    const format = options.format.toLowerCase();
+    if (!FORMATS.includes(format)) {
+        print({ success: false, error: `Unknown format "${options.format}". Expected one of: ${FORMATS.join(', ')}` }, {});
+        return;
+    }
+    const result = await getBridgeOptions(fromChain, toChain, token, amount, options.toToken, {
+        strategy: options.strategy,
+        limit: options.limit || Infinity
+    });
+    if (!result.success) return print(result, {});
+
+    const report = buildReport(result, { fromChain, toChain, token, amount, toToken: options.toToken });
+    const output = renderReport(report, format);
+    if (options.out) {
+        fs.writeFileSync(options.out, output.endsWith('\n') ? output : `${output}\n`);
+        console.error(`Wrote ${format} report to ${options.out}`);
+    } else {
+        console.log(output);
+    }
+}
+
+async function splitCommand(fromChain, toChain, token, amount, options) {
+    const result = await planSplitTransfer(fromChain, toChain, token, amount, options.toToken, {
+        minVerdict: options.minVerdict,
+        maxBridges: options.maxBridges,
+        maxShare: options.maxShare,
+        strategy: options.strategy
+    });
+    print(result, options, renderSplitPlan);
+}
+
+// Exit code follows the worst row: 0 SECURE, 1 CAUTION, 2 UNVERIFIED, 3 DANGER, 4 a row failed (or the whole run)
+async function batchCommand(file, options) {
+    let result;
+    try {
+        getStrategy(options.strategy); // an unknown strategy fails once, not on every row
+        const transfers = readTransfers(file);
+        result = await runBatch(transfers, { concurrency: options.concurrency, strategy: options.strategy });
+    } catch (e) {
+        result = { success: false, error: e.message };
+    }
+    print(result, options, renderBatch);
+    process.exitCode = result.success ? result.exitCode : EXIT_CODES.FAILED;
+}
+
+async function securityCommand(bridge, options) {
+    const stats = await getSecurityStats(bridge);
+    const result = stats.error
+        ? { success: false, error: stats.error }
+        : { success: true, stats, risk: calculateRiskScore(stats) };
+    print(result, options, renderSecurity);
+}
+
+async function trackCommand(txHash, fromChain, toChain, options) {
+    const result = await trackTransfer(txHash, { bridge: options.bridge, fromChain, toChain, expectedSeconds: options.expected });
+    print(result, options, renderTracking);
+}
+
+async function bridgesCommand(options) {
+    const result = await getSupportedBridges();
+    print(result, options, r => `${r.total} bridges:\n${r.bridges.map(b => `  - ${b}`).join('\n')}`);
+}
+
+async function chainsCommand(options) {
+    const result = await getSupportedChains();
+    print(result, options, renderChains);
+}
+
+async function tokenCommand(chain, symbol, options) {
+    const result = await getTokenDetails(chain, symbol);
+    print(result, options, renderToken);
+}
+
+// --- WATCHES ---
+
+function watchAddCommand(fromChain, toChain, token, amount, options) {
+    const notify = [];
+    if (options.stdout !== false) notify.push({ type: 'stdout' });
+    if (options.webhook) notify.push({ type: 'webhook', url: options.webhook });
+    if (options.file) notify.push({ type: 'file', path: options.file });
+
+    let result;
+    try {
+        const watch = addWatch({
+            fromChain, toChain, token, amount,
+            toToken: options.toToken,
+            strategy: options.strategy,
+            name: options.name,
+            intervalSeconds: options.interval,
+            maxNetCostUSD: options.maxNetCost,
+            minVerdict: options.minVerdict,
+            tvlDropPct: options.tvlDrop,
+            notify
+        });
+        result = { success: true, watch };
+    } catch (e) {
+        result = { success: false, error: e.message };
+    }
+    print(result, options, r => `Added watch ${r.watch.id} (${r.watch.name}). Start it with: bridgesafety watch run`);
+}
+
+function watchListCommand(options) {
+    const result = { success: true, file: watchesFile(), watches: loadWatches() };
+    print(result, options, r => {
+        if (!r.watches.length) return `No watches in ${r.file}`;
+        return renderTable([
+            { key: 'id', label: 'ID' },
+            { key: 'name', label: 'Name' },
+            { key: 'every', label: 'Every' },
+            { key: 'alerts', label: 'Alerts' },
+            { key: 'notify', label: 'Notify' },
+            { key: 'last', label: 'Last Check' }
+        ], r.watches.map(w => ({
+            id: w.id,
+            name: w.name,
+            every: formatDuration(w.intervalSeconds),
+            alerts: [
+                w.thresholds.maxNetCostUSD !== null ? `cost <= ${formatUsd(w.thresholds.maxNetCostUSD)}` : null,
+                w.thresholds.minVerdict ? `>= ${w.thresholds.minVerdict}` : null,
+                'new hack',
+                `TVL -${(w.thresholds.tvlDropPct * 100).toFixed(0)}%`
+            ].filter(Boolean).join(', '),
+            notify: w.notify.map(n => n.type).join(', '),
+            last: w.lastCheck
+                ? `${w.lastCheck.checkedAt}${w.lastCheck.best ? ` ${w.lastCheck.best.bridge} ${formatUsd(w.lastCheck.best.netCostUSD)}` : ''}${w.lastCheck.error ? ' (error)' : ''}`
+                : 'never'
+        })));
+    });
+}
+
+function watchRemoveCommand(id, options) {
+    const result = removeWatch(id) ? { success: true, removed: id } : { success: false, error: `No watch "${id}"` };
+    print(result, options, r => `Removed watch ${r.removed}`);
+}
+
+async function watchRunCommand(ids, options) {
+    const signal = { stopped: false };
+    process.once('SIGINT', () => {
+        signal.stopped = true;
+        console.error('\nStopping watcher...');
+    });
+    if (!options.once) console.error(`Watching ${ids.length ? ids.join(', ') : 'all watches'} (Ctrl+C to stop)`);
+
+    try {
+        await runWatches({
+            ids,
+            once: options.once,
+            signal,
+            onCheck: (check) => {
+                if (check.error) console.error(`Watch ${check.watch}: check failed: ${check.error}`);
+            }
+        });
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        process.exitCode = 1;
+    }
+}
+
+// Option parser for counts: "abc" or "0" is rejected by commander with a usage error
+function positiveInt(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new InvalidArgumentError('Expected a positive integer.');
+    return n;
+}
+
+function positiveNumber(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw new InvalidArgumentError('Expected a positive number.');
+    return n;
+}
+
+// A share of something, e.g. 0.2 for 20%
+function fraction(value) {
+    const n = Number(value);
+    if (!(n > 0 && n <= 1)) throw new InvalidArgumentError('Expected a fraction greater than 0 and at most 1.');
+    return n;
+}
+
+// Attach the subcommands to a commander program
+function registerCommands(program) {
+    program
+        .command('quote <fromChain> <toChain> <token> <amount>')
+        .description('Best single route for a transfer, with the transaction to sign decoded and its approval checked')
+        .option('--to-token <symbol>', 'Destination token (defaults to the source token)')
+        .option('--from-address <address>', 'Sender wallet (defaults to BRIDGE_FROM_ADDRESS)')
+        .option('--to-address <address>', 'Recipient wallet (defaults to BRIDGE_TO_ADDRESS, then the sender)')
+        .option('--json', 'Print structured JSON')
+        .action(quoteCommand);
+
+    program
+        .command('compare <fromChain> <toChain> <token> <amount>')
+        .description('Compare bridge routes with fees and risk scores, ranked by strategy')
+        .option('--to-token <symbol>', 'Destination token (defaults to the source token)')
+        .option('--strategy <name>', 'Ranking: cheapest | fastest | safest | balanced (default)')
+        .option('--limit <n>', 'How many ranked routes to show', positiveInt)
+        .option('--json', 'Print structured JSON')
+        .action(compareCommand);
+
+    program
+        .command('split <fromChain> <toChain> <token> <amount>')
+        .description('Plan a large transfer as tranches across several bridges within their exposure caps')
+        .option('--to-token <symbol>', 'Destination token (defaults to the source token)')
+        .option('--min-verdict <verdict>', 'Lowest verdict a tranche may have: SECURE | CAUTION | DANGER', 'CAUTION')
+        .option('--max-bridges <n>', 'Most bridges to split across', positiveInt, 3)
+        .option('--max-share <fraction>', 'Largest fraction of the total one bridge may carry', fraction, 0.5)
+        .option('--strategy <name>', 'Ranking used to pick bridges: cheapest | fastest | safest | balanced (default)')
+        .option('--json', 'Print structured JSON')
+        .action(splitCommand);
+
+    program
+        .command('report <fromChain> <toChain> <token> <amount>')
+        .description('Archivable recommendation report: every option, fee breakdown, risk rules and data sources')
+        .option('--to-token <symbol>', 'Destination token (defaults to the source token)')
+        .option('--strategy <name>', 'Ranking strategy: cheapest | fastest | safest | balanced (default)')
+        .option('--limit <n>', 'Routes to include (default: all candidates)', positiveInt)
+        .option('--format <format>', 'md | html | json', 'md')
+        .option('-o, --out <file>', 'Write to a file instead of stdout')
+        .action(reportCommand);
+
+    program
+        .command('batch <file>')
+        .description('Analyze every transfer in a CSV or JSONL file (fromChain, toChain, token, amount[, toToken][, label])')
+        .option('--concurrency <n>', 'Transfers analyzed at the same time', positiveInt, 4)
+        .option('--strategy <name>', 'Ranking used to pick each recommendation: cheapest | fastest | safest | balanced (default)')
+        .option('--json', 'Print structured JSON')
+        .action(batchCommand);
+
+    const watch = program
+        .command('watch')
+        .description('Re-quote saved routes on an interval and alert on fee, verdict, hack or TVL changes');
+
+    watch
+        .command('add <fromChain> <toChain> <token> <amount>')
+        .description('Save a route to watch')
+        .option('--to-token <symbol>', 'Destination token (defaults to the source token)')
+        .option('--strategy <name>', 'Ranking: cheapest | fastest | safest | balanced (default)')
+        .option('--name <name>', 'Label used in alerts')
+        .option('--interval <seconds>', 'Seconds between checks', positiveInt, 300)
+        .option('--max-net-cost <usd>', 'Alert when the best net cost drops to or below this', positiveNumber)
+        .option('--min-verdict <verdict>', 'Alert when a route reaches this verdict (SECURE | CAUTION)')
+        .option('--tvl-drop <fraction>', 'Alert when a bridge TVL falls by this fraction between checks', fraction, 0.2)
+        .option('--webhook <url>', 'POST alerts as JSON to this URL')
+        .option('--file <path>', 'Append alerts as JSON lines to this file')
+        .option('--no-stdout', 'Do not print alerts to stdout')
+        .option('--json', 'Print structured JSON')
+        .action(watchAddCommand);
+
+    watch
+        .command('list', { isDefault: true })
+        .description('List saved watches and their last check')
+        .option('--json', 'Print structured JSON')
+        .action(watchListCommand);
+
+    watch
+        .command('remove <id>')
+        .description('Delete a saved watch')
+        .option('--json', 'Print structured JSON')
+        .action(watchRemoveCommand);
+
+    watch
+        .command('run [ids...]')
+        .description('Run the watcher (all watches, or only the given ids)')
+        .option('--once', 'Check every watch once and exit (for cron)')
+        .action(watchRunCommand);
+
+    program
+        .command('track <txHash> [fromChain] [toChain]')
+        .description('Stage of a submitted transfer (pending, done, failed, refundable), its destination transaction and elapsed vs. expected time')
+        .option('--bridge <key>', 'Bridge the transfer went through (narrows the lookup)')
+        .option('--expected <seconds>', 'Duration you were quoted (default: re-quote the same transfer)', positiveInt)
+        .option('--json', 'Print structured JSON')
+        .action(trackCommand);
+
+    program
+        .command('security <bridge>')
+        .description('TVL, hacks, trust model and risk verdict for a bridge')
+        .option('--json', 'Print structured JSON')
+        .action(securityCommand);
+
+    program
+        .command('bridges')
+        .description('List bridges supported by Li.Fi')
+        .option('--json', 'Print structured JSON')
+        .action(bridgesCommand);
+
+    program
+        .command('chains')
+        .description('List supported chains with their type, native token and L2 stage')
+        .option('--json', 'Print structured JSON')
+        .action(chainsCommand);
+
+    program
+        .command('token <chain> <symbol>')
+        .description('Address, decimals and price of a token on a chain')
+        .option('--json', 'Print structured JSON')
+        .action(tokenCommand);
+
+    return program;
+}
+
+module.exports = { registerCommands, print, renderOptions, renderSecurity };
@@ -0,0 +1,152 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { withUpstreamPolicy } = require('./upstream');
+
+// --- DATA SOURCE LAYER ---
+// Every upstream call (Li.Fi, DefiLlama) goes through here instead of axios directly.
+// Modes (BRIDGE_DATA_MODE):
+//   live   - hit the real APIs (default)
+//   record - hit the real APIs and save every response as a fixture
+//   replay - serve fixtures only, never touch the network
+// Outside replay, requests go through the upstream policy (retries, rate limits, circuit breakers; see upstream.js).
+const MODES = ['live', 'record', 'replay'];
+
+let overrides = {};
+let customSource = null;
+let replayClock = null;
+
+function getConfig() {
+    const mode = (overrides.mode || process.env.BRIDGE_DATA_MODE || 'live').toLowerCase();
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown data mode "${mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+    return {
+        mode,
+        fixturesDir: overrides.fixturesDir || process.env.BRIDGE_FIXTURES_DIR || path.join(process.cwd(), 'fixtures')
+    };
+}
+
+function configureDataSource(options = {}) {
+    overrides = { ...overrides, ...options };
+    replayClock = null;
+}
+
+// Swap in a completely custom source: any object with `request({ method, url, params, data, timeout })`
+// resolving to `{ status, data }`. Pass null to go back to the configured mode.
+function setDataSource(source) {
+    customSource = source;
+}
+
+// Stable JSON: sorted keys so the same request always hashes the same way
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, k) => {
+            if (value[k] !== undefined) acc[k] = canonicalize(value[k]);
+            return acc;
+        }, {});
+    }
+    return value;
+}
+
+function fixtureName(req) {
+    const key = JSON.stringify(canonicalize({
+        method: req.method,
+        url: req.url,
+        params: req.params || null,
+        data: req.data || null
+    }));
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+    const { hostname, pathname } = new URL(req.url);
+    const slug = `${hostname}${pathname}`.replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+    return `${req.method.toLowerCase()}_${slug}_${hash}.json`;
+}
+
+// Mirror the shape of an axios error so callers can keep using `e.response?.data?.message`
+function fixtureError(fixture) {
+    const err = new Error(fixture.error || `Request failed with status code ${fixture.status}`);
+    if (fixture.status) err.response = { status: fixture.status, data: fixture.data };
+    return err;
+}
+
+const httpSource = {
+    async request(req) {
+        const res = await axios.request({
+            method: req.method,
+            url: req.url,
+            params: req.params,
+            data: req.data,
+            timeout: req.timeout
+        });
+        return { status: res.status, data: res.data };
+    }
+};
+
+async function recordRequest(req, fixturesDir) {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    const file = path.join(fixturesDir, fixtureName(req));
+    const fixture = {
+        request: { method: req.method, url: req.url, params: req.params || null, data: req.data || null },
+        recordedAt: new Date().toISOString()
+    };
+
+    try {
+        const res = await httpSource.request(req);
+        fs.writeFileSync(file, JSON.stringify({ ...fixture, status: res.status, data: res.data }, null, 2));
+        return res;
+    } catch (e) {
+        // Failures are part of what the user saw, so they get recorded too
+        fs.writeFileSync(file, JSON.stringify({
+            ...fixture,
+            status: e.response?.status || null,
+            data: e.response?.data ?? null,
+            error: e.message
+        }, null, 2));
+        throw e;
+    }
+}
+
+function replayRequest(req, fixturesDir) {
+    const file = path.join(fixturesDir, fixtureName(req));
+    if (!fs.existsSync(file)) {
+        const err = new Error(`No recorded fixture for ${req.method} ${req.url} (expected ${path.basename(file)})`);
+        err.code = 'FIXTURE_MISSING';
+        throw err;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    replayClock = Date.parse(fixture.recordedAt) || replayClock;
+
+    if (fixture.error || fixture.status >= 400) throw fixtureError(fixture);
+    return { status: fixture.status, data: fixture.data };
+}
+
+async function request(req) {
+    if (customSource) return withUpstreamPolicy(req, r => customSource.request(r));
+
+    const { mode, fixturesDir } = getConfig();
+    if (mode === 'replay') return replayRequest(req, fixturesDir);
+    if (mode === 'record') return withUpstreamPolicy(req, r => recordRequest(r, fixturesDir));
+    return withUpstreamPolicy(req, r => httpSource.request(r));
+}
+
+// `options.circuit` names a separate circuit breaker for the request (see upstream.js)
+function get(url, options = {}) {
+    return request({ method: 'GET', url, params: options.params, timeout: options.timeout, circuit: options.circuit });
+}
+
+function post(url, data, options = {}) {
+    return request({ method: 'POST', url, data, params: options.params, timeout: options.timeout, circuit: options.circuit });
+}
+
+// Wall clock for time-relative logic (e.g. "hacks in the last 2 years").
+// In replay mode this is pinned to when the served fixtures were recorded,
+// so a replayed recommendation comes out exactly as it did originally.
+function now() {
+    if (!customSource && replayClock && getConfig().mode === 'replay') return replayClock;
+    return Date.now();
+}
+
+module.exports = { get, post, now, configureDataSource, setDataSource, getConfig, fixtureName, MODES };
@@ -0,0 +1,87 @@
+const { loadPolicy } = require('./risk');
+
+// --- TRANSFER SIZE VS LIQUIDITY ---
+// A bridge with $500M TVL can still be a bad place for $5M if only $8M of that sits
+// on the destination chain. DefiLlama's `currentChainTvls` gives liquidity per chain;
+// the transfer is compared to the thinner of the source and destination sides.
+// The safe share of liquidity comes from the risk policy (`exposure.maxShareOfLiquidity`).
+// DefiLlama's chain keys ("OP Mainnet", "xDai", "op_bnb") are matched against the chain registry's
+// name, key and aliases (see chains.js), so every registered chain is covered. A side whose
+// liquidity can't be found is reported in `unverified_chains` instead of being left out quietly.
+
+const DEFAULT_MAX_SHARE = 0.05;
+
+// `currentChainTvls` also has "borrowed", "staking", "Ethereum-pool2"...; keep plain chain entries
+function chainLiquidity(currentChainTvls) {
+    if (!currentChainTvls) return null;
+    const chains = Object.entries(currentChainTvls)
+        .filter(([name, value]) => !name.includes('-') && !/^(borrowed|staking|pool2|vesting|offers|treasury)$/i.test(name) && value > 0);
+    return chains.length ? Object.fromEntries(chains) : null;
+}
+
+// "OP Mainnet", "op-mainnet" and "op_mainnet" compare equal
+const chainNameKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// `chain` is a chain registry record ({ name, key, aliases })
+function liquidityOn(chainTvls, chain) {
+    if (!chainTvls || !chain) return null;
+    const names = new Set([chain.name, chain.key, ...(chain.aliases || [])].filter(Boolean).map(chainNameKey));
+    const name = Object.keys(chainTvls).find(n => names.has(chainNameKey(n)) && chainTvls[n] > 0);
+    return name ? { chain: name, liquidityUsd: chainTvls[name] } : null;
+}
+
+function maxShareOfLiquidity(policy = loadPolicy()) {
+    return policy.exposure?.maxShareOfLiquidity ?? DEFAULT_MAX_SHARE;
+}
+
+// Largest transfer the policy considers safe on each chain the bridge holds liquidity on
+function maxSafeSizes(chainTvls, policy) {
+    const share = maxShareOfLiquidity(policy);
+    return Object.fromEntries(Object.entries(chainTvls || {})
+        .sort((a, b) => b[1] - a[1])
+        .map(([chain, tvl]) => [chain, Math.floor(tvl * share)]));
+}
+
+// `fromChain` / `toChain` are chain registry records, or null when the chain id isn't registered
+function assessExposure({ transferUsd, chainTvls, fromChain, toChain, policy }) {
+    const share = maxShareOfLiquidity(policy);
+    const source = liquidityOn(chainTvls, fromChain);
+    const destination = liquidityOn(chainTvls, toChain);
+    const binding = [source, destination].filter(Boolean).sort((a, b) => a.liquidityUsd - b.liquidityUsd)[0] || null;
+    // With one side unknown, the known side alone may understate the risk
+    const unverified = [[source, fromChain], [destination, toChain]]
+        .filter(([side]) => !side)
+        .map(([, chain]) => chain?.name || 'an unregistered chain');
+
+    const usd = Number.isFinite(transferUsd) && transferUsd > 0 ? transferUsd : null;
+    return {
+        transfer_usd: usd,
+        source_chain: source?.chain ?? null,
+        source_liquidity_usd: source?.liquidityUsd ?? null,
+        destination_chain: destination?.chain ?? null,
+        destination_liquidity_usd: destination?.liquidityUsd ?? null,
+        binding_chain: binding?.chain ?? null,
+        share_of_liquidity: binding && usd ? usd / binding.liquidityUsd : null,
+        max_safe_transfer_usd: binding ? Math.floor(binding.liquidityUsd * share) : null,
+        max_share_of_liquidity: share,
+        unverified_chains: unverified
+    };
+}
+
+// Extra inputs for calculateRiskScore(stats, { inputs })
+function exposureInputs(exposure) {
+    if (!exposure) return {};
+    return {
+        transferUsd: exposure.transfer_usd,
+        exposureChain: exposure.binding_chain,
+        transferShareOfLiquidity: exposure.share_of_liquidity,
+        maxSafeTransferUsd: exposure.max_safe_transfer_usd,
+        transferOverSafeRatio: exposure.transfer_usd && exposure.max_safe_transfer_usd
+            ? exposure.transfer_usd / exposure.max_safe_transfer_usd
+            : null,
+        exposureUnverified: exposure.unverified_chains?.length > 0,
+        exposureUnverifiedChains: exposure.unverified_chains?.join(' and ') || null
+    };
+}
+
+module.exports = { assessExposure, exposureInputs, chainLiquidity, maxSafeSizes, liquidityOn };
@@ -0,0 +1,51 @@
+// --- DISPLAY FORMATTING ---
+// Shared by tools.js and the risk engine so numbers read the same everywhere.
+
+function formatDuration(seconds) {
+    if (!seconds) return "Unknown";
+    const sec = parseInt(seconds);
+    if (sec < 60) return `${sec}s`;
+    const min = Math.floor(sec / 60);
+    if (min < 60) return `${min}m`;
+    const hr = Math.floor(min / 60);
+    const remMin = min % 60;
+    return `${hr}h ${remMin}m`;
+}
+
+// TVL-style compact dollars: 12345678 -> "$12.35M"
+function formatUsdMillions(value) {
+    if (value === null || value === undefined || !(value > 0)) return "N/A";
+    return `$${(value / 1_000_000).toFixed(2)}M`;
+}
+
+function formatUsd(value) {
+    const num = parseFloat(value);
+    return Number.isFinite(num)
+        ? `$${num.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+        : "-";
+}
+
+// Plain-text table for terminals and logs. `columns` is [{ key, label }].
+function renderTable(columns, rows) {
+    const cell = (row, col) => {
+        const value = row[col.key];
+        return value === null || value === undefined ? "-" : String(value);
+    };
+    const widths = columns.map(col => Math.max(col.label.length, ...rows.map(r => cell(r, col).length)));
+    const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+
+    return [
+        line(columns.map(c => c.label)),
+        line(widths.map(w => "-".repeat(w))),
+        ...rows.map(r => line(columns.map(c => cell(r, c))))
+    ].join("\n");
+}
+
+// Two-column "Label: value" block
+function renderKeyValue(pairs) {
+    const entries = pairs.filter(([, value]) => value !== undefined);
+    const width = Math.max(...entries.map(([label]) => label.length));
+    return entries.map(([label, value]) => `${`${label}:`.padEnd(width + 1)} ${value ?? "-"}`).join("\n");
+}
+
+module.exports = { formatDuration, formatUsdMillions, formatUsd, renderTable, renderKeyValue };
@@ -1,44 +1,36 @@
-require('dotenv').config();
-const { StateGraph, MessagesAnnotation } = require("@langchain/langgraph");
+require('dotenv').config({ quiet: true });
+const { StateGraph, MessagesAnnotation, Annotation } = require("@langchain/langgraph");
 const { ToolNode } = require("@langchain/langgraph/prebuilt");
-const { ChatVertexAI } = require("@langchain/google-vertexai");
-const { HumanMessage, SystemMessage } = require("@langchain/core/messages");
+const { HumanMessage, SystemMessage, AIMessage, RemoveMessage } = require("@langchain/core/messages");
 const { DynamicStructuredTool } = require("@langchain/core/tools");
-const { z } = require("zod");
+const { routeSchema, securitySchema, tokenSchema, optionsSchema, splitSchema, trackSchema, listBridgesSchema } = require("./schemas");
+const { planSplitTransfer } = require("./splitPlanner");
+const { trackTransfer } = require("./tracking");
+const { createChatModel } = require("./llm");
+const { FileCheckpointSaver } = require("./sessions");
+const { verifyAnswer, turnToolResults, renderFromTools, unverifiedNote } = require("./verify");
 const { getRoute, getBridgeOptions, getSecurityStats, calculateRiskScore, getTokenDetails, getSupportedBridges } = require("./tools"); // Added getTokenDetails
 
 // --- 1. CONFIGURATION ---
-const model = new ChatVertexAI({
-    model: "gemini-2.5-flash",
-    temperature: 0.1,
-    maxOutputTokens: 8192,
-    location: process.env.LOCATION
-});
+// Provider, model name, temperature and token limit come from the environment (see llm.js)
+const model = createChatModel("graph");
 
 // --- 2. TOOL WRAPPERS ---
 
 const routeTool = new DynamicStructuredTool({
     name: "get_bridge_route",
-    description: "Finds the best technical route (bridge) for a token transfer between chains.",
-    schema: z.object({
-        fromChain: z.string().describe("Source chain (e.g., 'eth', 'base', 'arb')"),
-        toChain: z.string().describe("Destination chain"),
-        fromToken: z.string().describe("Source Token Symbol OR Address (if known). e.g. 'USDC' or '0x...'"),
-        toToken: z.string().describe("Destination Token Symbol (e.g. 'USDC'). Do NOT use address here unless sure."),
-        amount: z.string().describe("Amount in ATOMIC units (e.g. 1000000 for 1 USDC). You MUST calculate this."),
-    }),
-    func: async ({ fromChain, toChain, fromToken, toToken, amount }) => {
-        const res = await getRoute(fromChain, toChain, fromToken, amount, toToken);
+    description: "Finds the best technical route (bridge) for a token transfer between chains, with the unsigned transaction decoded and its token approval checked.",
+    schema: routeSchema,
+    func: async ({ fromChain, toChain, fromToken, toToken, amount, fromAddress, toAddress }) => {
+        const res = await getRoute(fromChain, toChain, fromToken, amount, toToken, { fromAddress, toAddress });
         return JSON.stringify(res);
     }
 });
 
 const securityTool = new DynamicStructuredTool({
     name: "get_security_stats",
-    description: "Gets security stats (TVL, hacks) for a specific bridge protocol.",
-    schema: z.object({
-        bridgeName: z.string().describe("Name of the bridge (e.g., 'stargate', 'across')"),
-    }),
+    description: "Gets security stats (TVL, TVL trend, hacks, trust model) for a specific bridge protocol.",
+    schema: securitySchema,
     func: async ({ bridgeName }) => {
         const stats = await getSecurityStats(bridgeName);
         // Also perform the risk calculation automatically here to assist the agent
@@ -50,10 +42,7 @@ const securityTool = new DynamicStructuredTool({
 const tokenTool = new DynamicStructuredTool({
     name: "get_token_details",
     description: "Look up technical details (Address, Decimals) for a token on a specific chain.",
-    schema: z.object({
-        chain: z.string().describe("Chain name or ID (e.g. 'base', 'arb', '1')"),
-        symbol: z.string().describe("Token symbol (e.g. 'USDC', 'USDT')"),
-    }),
+    schema: tokenSchema,
     func: async ({ chain, symbol }) => {
         const res = await getTokenDetails(chain, symbol);
         return JSON.stringify(res);
@@ -62,16 +51,30 @@ const tokenTool = new DynamicStructuredTool({
 
 const comparisonTool = new DynamicStructuredTool({
     name: "get_bridge_options",
-    description: "Fetch and Compare multiple bridge routes (Top 3) with their Risk Scores.",
-    schema: z.object({
-        fromChain: z.string(),
-        toChain: z.string(),
-        fromToken: z.string().describe("Source Token Address"),
-        toToken: z.string().describe("Destination Token Symbol"),
-        amount: z.string().describe("Atomic Amount"),
-    }),
-    func: async ({ fromChain, toChain, fromToken, toToken, amount }) => {
-        const res = await getBridgeOptions(fromChain, toChain, fromToken, amount, toToken);
+    description: "Fetch, score and rank bridge routes (Top 3) by the chosen strategy, with their Risk Scores and why the top route won.",
+    schema: optionsSchema,
+    func: async ({ fromChain, toChain, fromToken, toToken, amount, strategy }) => {
+        const res = await getBridgeOptions(fromChain, toChain, fromToken, amount, toToken, { strategy });
+        return JSON.stringify(res);
+    }
+});
+
+const splitTool = new DynamicStructuredTool({
+    name: "plan_split_transfer",
+    description: "Plan a large transfer as tranches across several bridges, each within its safe size, and compare it with sending everything through one bridge.",
+    schema: splitSchema,
+    func: async ({ fromChain, toChain, fromToken, toToken, amount, minVerdict, maxBridges, maxShare, strategy }) => {
+        const res = await planSplitTransfer(fromChain, toChain, fromToken, amount, toToken, { minVerdict, maxBridges, maxShare, strategy });
+        return JSON.stringify(res);
+    }
+});
+
+const trackTool = new DynamicStructuredTool({
+    name: "track_transfer",
+    description: "Check where a submitted bridge transfer is (pending, done, failed or refundable) from its source transaction hash, with the destination transaction and elapsed vs. expected time.",
+    schema: trackSchema,
+    func: async ({ txHash, bridge, fromChain, toChain, expectedSeconds }) => {
+        const res = await trackTransfer(txHash, { bridge, fromChain, toChain, expectedSeconds });
         return JSON.stringify(res);
     }
 });
@@ -79,14 +82,14 @@ const comparisonTool = new DynamicStructuredTool({
 const listBridgesTool = new DynamicStructuredTool({
     name: "get_supported_bridges",
     description: "Get a list of all bridging protocols supported by the system.",
-    schema: z.object({}),
+    schema: listBridgesSchema,
     func: async () => {
         const res = await getSupportedBridges();
         return JSON.stringify(res);
     }
 });
 
-const tools = [routeTool, securityTool, tokenTool, comparisonTool, listBridgesTool];
+const tools = [routeTool, securityTool, tokenTool, comparisonTool, splitTool, trackTool, listBridgesTool];
 const toolNode = new ToolNode(tools);
 
 // --- 3. AGENT NODE ---
@@ -104,11 +107,21 @@ async function callModel(state) {
     WORKFLOW:
     1. Identify tokens. Calling 'get_bridge_options' handles most resolution automatically!
     2. CALL 'get_bridge_options' to get a comparison of the top 3 routes.
-       - The tool returns: 'protocolFeeUSD', 'aggregatorFeeUSD', 'executionDuration' (formatted), and 'riskScore'.
+       - Routes come back ranked by our own formula. Pass 'strategy' when the user asks for the cheapest, fastest or safest route; otherwise leave it out ('balanced').
+       - 'exposure' compares the transfer to the bridge's liquidity on the source/destination chain. If the amount exceeds
+         'exposure.max_safe_transfer_usd', say so and offer to split the transfer with 'plan_split_transfer'.
+       - 'netCostUSD' is the true cost (USD in - USD out + gas). Quote 'rankingExplanation' when recommending the top route.
+       - Pass the amount exactly as the user wrote it (e.g. "1000" or "1.5k"). The tool converts it using the token's decimals.
+       - The tool returns: 'amountInHuman', 'amountOutHuman', 'protocolFeeUSD', 'aggregatorFeeUSD', 'executionDuration' (formatted), and 'riskScore'.
+       - Fees, gas and duration are totals over every step. 'steps' lists each hop (swap / cross / protocol) with its own fees;
+         bridge hops carry their own 'securityVerdict'. The route verdict is its weakest hop ('weakestStep').
+       - 'warnings' flags a destination token that isn't the issuer's own ('receivedToken.variant' is 'bridged' or 'wrapped',
+         e.g. USDC.e instead of native USDC). Repeat the warning and mention the canonical token when 'canonicalAddress' is set.
     
     3. **PRESENTATION** (The most important part):
        - Present a table of choices.
        - **Columns**: | Bridge | Net Output | Bridge Fee | Li.Fi Fee | Risk (TVL) | Est. Duration |
+       - **Net Output**: Use 'amountOutHuman' (e.g. "998.75 USDC"). Never compute it from the raw 'amountOut'.
        - **Li.Fi Fee Rule**: If 'aggregatorFeeUSD' is $0.00, LEAVE IT EMPTY or write "-". Do NOT show "$0.00" unless relevant.
        - **Bridge Fee**: This is the 'protocolFeeUSD'. *Note*: This includes LP fees + Destination Gas/Relayer fees (total protocol cost).
        - **Risk (TVL)**: Show the verdict AND the TVL from the tool. Example: "SECURE ($500M)". 
@@ -120,8 +133,19 @@ async function callModel(state) {
        - **Money Saving Tip**: If 'aggregatorFeeUSD' > 0, tell the user: 
          - "💡 **Tip**: You can save the **$2.50 Li.Fi Fee** by using the [Bridge Name] official site directly."
     
-    4. Provide a final recommendation (SECURE, CAUTION, or DANGER).
+       - When the user wants to see what they would sign, call 'get_bridge_route'. Its 'transaction' is the decoded unsigned
+         transaction (contract, method, value, receiver) and 'approval' the token approval it needs. Never invent addresses:
+         pass 'fromAddress' / 'toAddress' only if the user gave them. Repeat every transaction warning word for word.
+         If 'transaction' is null because no sender is configured, give the quote and ask for their wallet address.
+       - When the user has already sent a transfer and asks where it is, call 'track_transfer' with the transaction hash.
+         Report the 'stage', the 'destinationTxHash' once there is one, and 'elapsed' against 'expected'. If 'overdue' is true
+         or the stage is 'refundable', repeat the warning and never suggest sending the transfer again.
+    
+    4. Provide a final recommendation (SECURE, CAUTION, UNVERIFIED or DANGER).
        - If a route is "DANGER" (Risk Score < 40), warn user explicitly.
+       - "UNVERIFIED" means security data could not be fetched ('degraded' lists what and why). Never present it as safe;
+         say which data is missing and suggest trying again shortly.
+       - For multi-hop routes, name the hops (e.g. "Uniswap swap -> Stargate -> 1inch swap") and which hop drives the verdict.
     
     Be helpful, conversational, and strict about security.
     `);
@@ -135,7 +159,66 @@ async function callModel(state) {
     return { messages: [response] };
 }
 
-// --- 4. GRAPH DEFINITION ---
+// --- 4. VERIFICATION NODE ---
+// Checks the final answer's figures and verdicts against this turn's tool output (see verify.js).
+// A mismatch goes back to the agent once with the list of wrong figures; if the second draft is
+// still wrong, it is replaced by a table rendered straight from the tool data.
+// Drafts and correction notes are removed afterwards, so saved history only has the final answer.
+const MAX_CORRECTIONS = 1;
+const VERIFIER = "verifier";
+
+const isVerifierNote = (m) => m._getType() === "human" && m.name === VERIFIER;
+const isUserMessage = (m) => m._getType() === "human" && !isVerifierNote(m);
+
+function correctionPrompt(issues) {
+    return [
+        "Your answer does not match the tool results. Fix these figures and rewrite the full answer:",
+        ...issues.map(i => `- ${i.message}`),
+        "Copy numbers and verdicts exactly from the tool output; do not call tools again unless data is missing."
+    ].join("\n");
+}
+
+async function verifyNode(state) {
+    const messages = state.messages;
+    const draft = messages[messages.length - 1];
+    const toolResults = turnToolResults(messages, isUserMessage);
+    if (!toolResults.length) return { verification: { status: "skipped", issues: [] } };
+
+    // Earlier drafts of this turn are the AI messages that a correction note answered
+    let start = 0;
+    messages.forEach((m, i) => { if (isUserMessage(m)) start = i + 1; });
+    const turn = messages.slice(start);
+    const notes = turn.filter(isVerifierNote);
+    const staleDrafts = turn.filter((m, i) => i + 1 < turn.length && isVerifierNote(turn[i + 1]));
+    const cleanup = [...staleDrafts, ...notes].map(m => new RemoveMessage({ id: m.id }));
+
+    const { ok, issues } = verifyAnswer(typeof draft.content === "string" ? draft.content : JSON.stringify(draft.content), toolResults);
+    if (ok) {
+        return { messages: cleanup, verification: { status: notes.length ? "corrected" : "passed", issues: [] } };
+    }
+    if (notes.length < MAX_CORRECTIONS) {
+        return {
+            messages: [new HumanMessage({ content: correctionPrompt(issues), name: VERIFIER })],
+            verification: { status: "retry", issues }
+        };
+    }
+
+    // Nothing to render from: keep the draft, but never without saying it failed the check
+    const fallback = renderFromTools(toolResults);
+    if (!fallback) {
+        const content = typeof draft.content === "string" ? draft.content : JSON.stringify(draft.content);
+        return {
+            messages: [...cleanup, new AIMessage({ id: draft.id, content: `${content}\n\n${unverifiedNote(issues)}` })],
+            verification: { status: "unverified", issues }
+        };
+    }
+    return {
+        messages: [...cleanup, new RemoveMessage({ id: draft.id }), new AIMessage(fallback)],
+        verification: { status: "fallback", issues }
+    };
+}
+
+// --- 5. GRAPH DEFINITION ---
 
 function shouldContinue(state) {
     const messages = state.messages;
@@ -144,17 +227,32 @@ function shouldContinue(state) {
     if (lastMessage.tool_calls?.length) {
         return "tools";
     }
-    return "__end__";
+    return "verify";
+}
+
+function afterVerify(state) {
+    const lastMessage = state.messages[state.messages.length - 1];
+    return isVerifierNote(lastMessage) ? "agent" : "__end__";
 }
 
-const workflow = new StateGraph(MessagesAnnotation)
+// Messages plus the outcome of the last answer check, for callers that want to show it
+const AgentState = Annotation.Root({
+    ...MessagesAnnotation.spec,
+    verification: Annotation({ reducer: (previous, next) => next, default: () => null })
+});
+
+const workflow = new StateGraph(AgentState)
     .addNode("agent", callModel)
     .addNode("tools", toolNode)
+    .addNode("verify", verifyNode)
     .addEdge("__start__", "agent")
-    .addConditionalEdges("agent", shouldContinue)
-    .addEdge("tools", "agent");
+    .addConditionalEdges("agent", shouldContinue, ["tools", "verify"])
+    .addEdge("tools", "agent")
+    .addConditionalEdges("verify", afterVerify, ["agent", "__end__"]);
 
-// Compile the graph
-const graph = workflow.compile();
+// Compile the graph. The checkpointer stores each thread_id's history on disk,
+// so callers only send the new message and sessions can be resumed later.
+const checkpointer = new FileCheckpointSaver();
+const graph = workflow.compile({ checkpointer });
 
-module.exports = { graph };
+module.exports = { graph, checkpointer };
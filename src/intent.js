@@ -0,0 +1,146 @@
+const { isChainAlias } = require('./chains');
+const { parseHumanAmount } = require('./amounts');
+
+// --- DETERMINISTIC INTENT PARSER ---
+// Handles the common phrasings without an LLM:
+//   "bridge 1000 USDT from Arbitrum to Optimism"
+//   "send 500 usdc base -> linea"
+//   "move 1.5k usdt from arb to op to USDC.e"
+//   "swap 100 usdc on base to usdt on arbitrum"
+// Chain words are the registry's aliases (see chains.js).
+// Returns null when the input doesn't fit, so the caller can fall back to the LLM.
+const VERBS = new Set(['bridge', 'send', 'transfer', 'move', 'swap', 'port', 'i', 'want', 'to', 'would', 'like']);
+const FROM_WORDS = new Set(['from', 'on']);
+const TO_WORDS = new Set(['to', 'into', '->', '=>', '→']);
+const TOKEN_WORDS = new Set(['as', 'for', 'receive', 'receiving', 'get']);
+const FILLER = new Set(['chain', 'network', 'one', 'the', 'of', 'and', 'me', 'please']);
+
+const TOKEN_PATTERN = /^(0x[a-f0-9]{40}|[a-z][a-z0-9]*(?:[.\-][a-z0-9]+)*)$/i;
+
+function isChain(word) {
+    return isChainAlias(word);
+}
+
+function isAmount(word) {
+    try {
+        parseHumanAmount(word.replace(/^\$/, ''));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function tokenize(input) {
+    return input
+        .replace(/(->|=>|→)/g, ' $1 ')
+        .replace(/[?!]+$/, '')
+        .split(/\s+/)
+        .map(w => w.replace(/,$/, ''))
+        .filter(Boolean);
+}
+
+function parseTransferIntent(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    const words = tokenize(input.trim());
+    const intent = { amount: null, token: null, fromChain: null, toChain: null, toToken: null };
+    const fields = {};
+    let pending = null; // 'from' | 'to' | 'token': what the previous keyword asked for
+    let lastToWasChain = false;
+
+    for (let i = 0; i < words.length; i++) {
+        const raw = words[i];
+        const word = raw.toLowerCase();
+
+        // Verbs are only noise before the amount; "to" keeps its meaning later on
+        if (!intent.amount && VERBS.has(word)) continue;
+        if (FILLER.has(word)) continue;
+        if (FROM_WORDS.has(word)) { pending = 'from'; continue; }
+        if (TO_WORDS.has(word)) { pending = 'to'; continue; }
+        if (TOKEN_WORDS.has(word)) { pending = 'token'; continue; }
+
+        if (!intent.amount && isAmount(raw)) {
+            intent.amount = raw.replace(/^\$/, '');
+            fields.amount = 'read';
+            // The word right after the amount is the token, even if it doubles as a chain alias ("10 eth")
+            const next = words[i + 1];
+            if (next && TOKEN_PATTERN.test(next) && !FROM_WORDS.has(next.toLowerCase()) && !TO_WORDS.has(next.toLowerCase())) {
+                intent.token = next;
+                fields.token = 'read';
+                i++;
+            }
+            pending = null;
+            continue;
+        }
+
+        if (pending === 'token' && TOKEN_PATTERN.test(raw)) {
+            intent.toToken = raw;
+            fields.toToken = 'read';
+            pending = null;
+            continue;
+        }
+
+        if (isChain(word)) {
+            if (pending === 'from' && intent.fromChain && intent.toChain && lastToWasChain) {
+                // "swap 100 usdc on base to usdt on arbitrum": the earlier "to <x>" was a token
+                intent.toToken = intent.toChain;
+                fields.toToken = 'read';
+                intent.toChain = word;
+                fields.toChain = 'read';
+                lastToWasChain = false;
+            } else if (pending === 'from' && !intent.fromChain) {
+                intent.fromChain = word;
+                fields.fromChain = 'read';
+            } else if (pending === 'from' && !intent.toChain && intent.toToken) {
+                // "... to usdt on arbitrum": the chain the destination token lives on
+                intent.toChain = word;
+                fields.toChain = 'read';
+            } else if (pending === 'to' && !intent.toChain) {
+                intent.toChain = word;
+                fields.toChain = 'read';
+                lastToWasChain = true;
+            } else if (pending === 'to' && !intent.toToken) {
+                intent.toToken = raw;
+                fields.toToken = 'read';
+            } else if (!pending && !intent.fromChain) {
+                // Bare chain names ("base linea") are taken positionally
+                intent.fromChain = word;
+                fields.fromChain = 'inferred';
+            } else if (!pending && !intent.toChain) {
+                intent.toChain = word;
+                fields.toChain = 'inferred';
+            } else {
+                return null;
+            }
+            pending = null;
+            continue;
+        }
+
+        if (pending === 'to' && !intent.toToken && TOKEN_PATTERN.test(raw)) {
+            intent.toToken = raw;
+            fields.toToken = 'read';
+            pending = null;
+            continue;
+        }
+
+        if (!intent.token && intent.amount && TOKEN_PATTERN.test(raw) && !pending) {
+            intent.token = raw;
+            fields.token = 'read';
+            continue;
+        }
+
+        // Anything else means the sentence isn't one of our shapes
+        return null;
+    }
+
+    if (!intent.amount || !intent.token || !intent.fromChain || !intent.toChain) return null;
+
+    if (!intent.toToken) {
+        intent.toToken = intent.token;
+        fields.toToken = 'inferred';
+    }
+
+    return { ...intent, source: 'parser', fields };
+}
+
+module.exports = { parseTransferIntent };
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { BaseChatModel } = require('@langchain/core/language_models/chat_models');
+const { AIMessage } = require('@langchain/core/messages');
+
+// --- LLM PROVIDERS ---
+// LLM_PROVIDER selects the backend: vertex (default) | openai | scripted.
+// Per-provider overrides: <PREFIX>_MODEL, <PREFIX>_TEMPERATURE, <PREFIX>_MAX_TOKENS
+// where PREFIX is VERTEX, OPENAI or SCRIPTED. `role` picks the default model
+// ('graph' is the chat agent, 'agent' is the legacy one-shot advisor).
+const PROVIDERS = {
+    vertex: {
+        prefix: 'VERTEX',
+        models: { graph: 'gemini-2.5-flash', agent: 'gemini-2.5-pro' },
+        create: ({ model, temperature, maxTokens }) => {
+            const { ChatVertexAI } = require('@langchain/google-vertexai');
+            return new ChatVertexAI({
+                model,
+                temperature,
+                maxOutputTokens: maxTokens,
+                location: process.env.LOCATION
+            });
+        }
+    },
+    openai: {
+        // Any OpenAI-compatible endpoint: OpenAI itself, or a local server via OPENAI_BASE_URL
+        prefix: 'OPENAI',
+        models: { graph: 'gpt-4o-mini', agent: 'gpt-4o' },
+        create: ({ model, temperature, maxTokens }) => {
+            const { ChatOpenAI } = require('@langchain/openai');
+            const baseURL = process.env.OPENAI_BASE_URL;
+            return new ChatOpenAI({
+                model,
+                temperature,
+                maxTokens,
+                // Local servers usually ignore the key, but the client insists on one
+                apiKey: process.env.OPENAI_API_KEY || (baseURL ? 'local' : undefined),
+                configuration: baseURL ? { baseURL } : undefined
+            });
+        }
+    },
+    scripted: {
+        prefix: 'SCRIPTED',
+        models: { graph: 'scripted', agent: 'scripted' },
+        create: () => ScriptedChatModel.fromFile(process.env.LLM_SCRIPT)
+    }
+};
+
+function numberFromEnv(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isFinite(value)) throw new Error(`${name} must be a number, got "${raw}"`);
+    return value;
+}
+
+function getLLMConfig(role = 'graph') {
+    const provider = (process.env.LLM_PROVIDER || 'vertex').toLowerCase();
+    const spec = PROVIDERS[provider];
+    if (!spec) {
+        throw new Error(`Unknown LLM_PROVIDER "${provider}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return {
+        provider,
+        model: process.env[`${spec.prefix}_MODEL`] || spec.models[role] || spec.models.graph,
+        temperature: numberFromEnv(`${spec.prefix}_TEMPERATURE`, 0.1),
+        maxTokens: numberFromEnv(`${spec.prefix}_MAX_TOKENS`, 8192)
+    };
+}
+
+function createChatModel(role = 'graph') {
+    const config = getLLMConfig(role);
+    return PROVIDERS[config.provider].create(config);
+}
+
+// --- SCRIPTED MODEL ---
+// Replays a fixed list of responses, one per call, for demos and tests without any LLM.
+// Script file (LLM_SCRIPT):
+//   { "responses": [
+//       { "tool_calls": [{ "name": "get_bridge_options", "args": { ... } }] },
+//       { "content": "Here are your options..." }
+//   ] }
+class ScriptedChatModel extends BaseChatModel {
+    constructor(fields = {}) {
+        super(fields);
+        this.responses = fields.responses || [];
+        this.cursor = 0;
+        this.toolNames = null;
+    }
+
+    static fromFile(file) {
+        if (!file) throw new Error('LLM_PROVIDER=scripted needs LLM_SCRIPT pointing at a script JSON file');
+        const script = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+        const responses = Array.isArray(script) ? script : script.responses;
+        if (!Array.isArray(responses)) throw new Error(`Script ${file} must contain a "responses" array`);
+        return new ScriptedChatModel({ responses });
+    }
+
+    _llmType() {
+        return 'scripted';
+    }
+
+    bindTools(tools) {
+        this.toolNames = new Set(tools.map(t => t.name));
+        return this;
+    }
+
+    async _generate() {
+        if (this.cursor >= this.responses.length) {
+            throw new Error(`Scripted model ran out of responses after ${this.responses.length} turns`);
+        }
+        const turn = this.responses[this.cursor++];
+
+        const toolCalls = (turn.tool_calls || []).map((tc, i) => {
+            if (this.toolNames && !this.toolNames.has(tc.name)) {
+                throw new Error(`Scripted tool call "${tc.name}" is not one of the bound tools`);
+            }
+            return { id: tc.id || `scripted-${this.cursor}-${i}`, name: tc.name, args: tc.args || {}, type: 'tool_call' };
+        });
+
+        const message = new AIMessage({ content: turn.content || '', tool_calls: toolCalls });
+        return { generations: [{ text: message.content, message }] };
+    }
+}
+
+module.exports = { createChatModel, getLLMConfig, ScriptedChatModel, PROVIDERS };
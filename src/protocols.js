@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const source = require('./datasource');
+const { cached } = require('./cache');
+
+// --- BRIDGE -> PROTOCOL IDENTITY ---
+// Li.Fi tool keys rarely match DefiLlama names ("stargateV2Bus" vs "stargate"), so the
+// maintained registry in data/protocol-registry.json is consulted first. DefiLlama's
+// /protocols list is only a fallback, and every answer says how it was matched:
+//   method:     exact | alias | fuzzy | none
+//   confidence: high (registry) | medium (exact DefiLlama name) | low (fuzzy) | none
+const REGISTRY_PATH = path.join(__dirname, '..', 'data', 'protocol-registry.json');
+
+let registry = null;
+
+function loadRegistry() {
+    if (registry) return registry;
+
+    const data = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+    const byKey = new Map();
+    const byAlias = new Map();
+    for (const entry of data.protocols) {
+        byKey.set(entry.lifiKey.toLowerCase(), entry);
+        (entry.aliases || []).forEach(a => byAlias.set(a.toLowerCase(), entry));
+    }
+    registry = { byKey, byAlias, version: data.version };
+    return registry;
+}
+
+function fromRegistry(entry, method) {
+    return {
+        slug: entry.llamaSlug,
+        parent: entry.parent || entry.llamaSlug,
+        lifiKey: entry.lifiKey,
+        hackAliases: entry.hackAliases || [],
+        trustModel: entry.trustModel || null,
+        method,
+        confidence: 'high',
+        source: 'registry'
+    };
+}
+
+function fromLlama(protocol, method, confidence) {
+    return {
+        slug: protocol.slug,
+        parent: protocol.parentProtocol ? protocol.parentProtocol.replace(/^parent#/, '') : protocol.slug,
+        lifiKey: null,
+        hackAliases: [protocol.name],
+        trustModel: null,
+        method,
+        confidence,
+        source: 'defillama'
+    };
+}
+
+async function fetchAllProtocols() {
+    const { data } = await cached('protocols', 'llama:protocols', async () => {
+        const res = await source.get('https://api.llama.fi/protocols', { timeout: 30000 });
+        return res.data;
+    });
+    return data;
+}
+
+// Last resort. Short slugs ("hop", "li") would match half the list, so reverse containment
+// needs a reasonably long slug, and whatever is found is reported as low confidence.
+function fuzzyMatch(allProtocols, searchName) {
+    const found = allProtocols.find(p =>
+        p.slug.includes(searchName) ||
+        p.name.toLowerCase().includes(searchName) ||
+        (p.slug.length >= 5 && searchName.includes(p.slug))
+    );
+    if (found) return found;
+
+    const strippedName = searchName.replace(/v\d+$/i, '');
+    if (strippedName !== searchName) {
+        return allProtocols.find(p => p.slug === strippedName || p.slug.includes(strippedName));
+    }
+    return null;
+}
+
+async function resolveProtocol(bridgeName) {
+    const searchName = bridgeName.toLowerCase().trim();
+    const { byKey, byAlias } = loadRegistry();
+
+    if (byKey.has(searchName)) return fromRegistry(byKey.get(searchName), 'exact');
+    if (byAlias.has(searchName)) return fromRegistry(byAlias.get(searchName), 'alias');
+
+    const unmatched = {
+        slug: searchName, parent: searchName, lifiKey: null, hackAliases: [],
+        trustModel: null, method: 'none', confidence: 'none', source: null
+    };
+
+    try {
+        const allProtocols = await fetchAllProtocols();
+
+        const exact = allProtocols.find(p => p.slug === searchName || p.name.toLowerCase() === searchName);
+        if (exact) return fromLlama(exact, 'exact', 'medium');
+
+        const fuzzy = fuzzyMatch(allProtocols, searchName);
+        if (fuzzy) return fromLlama(fuzzy, 'fuzzy', 'low');
+
+        return unmatched;
+    } catch (e) {
+        // The protocol list couldn't be fetched, so "no match" is unknown rather than a finding
+        return { ...unmatched, error: e.response?.data?.message || e.message };
+    }
+}
+
+// Hack entries belong to the protocol only on an exact (case-insensitive) name or alias hit
+function matchHacks(hacks, match) {
+    const names = new Set([match.slug, ...match.hackAliases].map(n => n.toLowerCase()));
+    return hacks.filter(h => names.has((h.name || '').toLowerCase().trim()));
+}
+
+module.exports = { resolveProtocol, matchHacks, loadRegistry };
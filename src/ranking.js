@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { formatDuration, formatUsd } = require('./format');
+
+// --- RISK-ADJUSTED ROUTE RANKING ---
+// Strategies (cheapest / fastest / safest / balanced) and their weights live in
+// policies/ranking-strategies.json (override with BRIDGE_RANKING_POLICY).
+// Lower rank score is better:
+//   cost * normCost + duration * normDuration + risk * (100 - riskScore) / 100 + verdictPenalty
+const DEFAULT_RANKING_PATH = path.join(__dirname, '..', 'policies', 'ranking-strategies.json');
+const METRICS = ['cost', 'duration', 'risk'];
+
+const rankingCache = new Map();
+
+function validateRanking(ranking, file) {
+    const fail = (msg) => { throw new Error(`Invalid ranking policy ${file}: ${msg}`); };
+
+    if (!ranking.version) fail('missing "version"');
+    if (!ranking.strategies || !Object.keys(ranking.strategies).length) fail('"strategies" must be a non-empty object');
+    if (!ranking.strategies[ranking.defaultStrategy]) fail(`defaultStrategy "${ranking.defaultStrategy}" is not defined`);
+
+    for (const [name, strategy] of Object.entries(ranking.strategies)) {
+        for (const metric of METRICS) {
+            if (typeof strategy.weights?.[metric] !== 'number') fail(`strategy ${name} needs a numeric weights.${metric}`);
+        }
+    }
+    return ranking;
+}
+
+function loadRanking(file = process.env.BRIDGE_RANKING_POLICY || DEFAULT_RANKING_PATH) {
+    const resolved = path.resolve(file);
+    if (!rankingCache.has(resolved)) {
+        const ranking = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        rankingCache.set(resolved, validateRanking(ranking, resolved));
+    }
+    return rankingCache.get(resolved);
+}
+
+function getStrategy(name) {
+    const ranking = loadRanking();
+    const key = (name || ranking.defaultStrategy).toLowerCase();
+    const strategy = ranking.strategies[key];
+    if (!strategy) {
+        throw new Error(`Unknown strategy "${name}". Expected one of: ${Object.keys(ranking.strategies).join(', ')}`);
+    }
+    return { name: key, ...strategy };
+}
+
+// What the transfer really costs: value lost between input and output, plus gas.
+// Falls back to the fee sum when Li.Fi doesn't price the amounts.
+function netCostUSD(route, totals) {
+    const gas = parseFloat(totals.gasCostUSD || 0);
+    const inUSD = parseFloat(route.fromAmountUSD);
+    const outUSD = parseFloat(route.toAmountUSD);
+    if (Number.isFinite(inUSD) && Number.isFinite(outUSD)) return inUSD - outUSD + gas;
+    return parseFloat(totals.protocolFeeUSD || 0) + parseFloat(totals.aggregatorFeeUSD || 0) + gas;
+}
+
+// 0 for the best candidate, 1 for the worst; 0 for everyone when they're all equal
+function normalizer(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return (v) => (max === min ? 0 : (v - min) / (max - min));
+}
+
+// `options` need netCostUSD, executionDurationSeconds, riskScore and securityVerdict.
+// Returns them sorted, each with `rank` and `rankScore`; ties keep Li.Fi's order.
+function rankOptions(options, strategyName) {
+    const strategy = getStrategy(strategyName);
+    const { weights, verdictPenalty = {} } = strategy;
+    const normCost = normalizer(options.map(o => o.netCostUSD));
+    const normDuration = normalizer(options.map(o => o.executionDurationSeconds));
+
+    const ranked = options
+        .map((o, i) => {
+            const score = weights.cost * normCost(o.netCostUSD)
+                + weights.duration * normDuration(o.executionDurationSeconds)
+                + weights.risk * (100 - o.riskScore) / 100
+                + (verdictPenalty[o.securityVerdict] || 0);
+            return { option: o, score, order: i };
+        })
+        .sort((a, b) => a.score - b.score || a.order - b.order)
+        .map(({ option, score }, i) => ({ ...option, rank: i + 1, rankScore: Number(score.toFixed(4)) }));
+
+    return { strategy, ranked, explanation: explainRanking(ranked, strategy.name) };
+}
+
+// Plain-language reason the winner beat the runner-up
+function explainRanking(ranked, strategyName) {
+    const [first, second] = ranked;
+    if (!first) return 'No routes to rank.';
+    if (!second) return `${first.bridge} is the only route found.`;
+
+    const wins = [];
+    const tradeoffs = [];
+
+    const costDiff = second.netCostUSD - first.netCostUSD;
+    if (Math.abs(costDiff) >= 0.01) {
+        const detail = `(${formatUsd(first.netCostUSD)} vs ${formatUsd(second.netCostUSD)} net cost)`;
+        if (costDiff > 0) wins.push(`${formatUsd(costDiff)} cheaper ${detail}`);
+        else tradeoffs.push(`costing ${formatUsd(-costDiff)} more ${detail}`);
+    }
+
+    const timeDiff = second.executionDurationSeconds - first.executionDurationSeconds;
+    if (timeDiff !== 0) {
+        const detail = `(${formatDuration(first.executionDurationSeconds)} vs ${formatDuration(second.executionDurationSeconds)})`;
+        if (timeDiff > 0) wins.push(`${formatDuration(timeDiff)} faster ${detail}`);
+        else tradeoffs.push(`being ${formatDuration(-timeDiff)} slower ${detail}`);
+    }
+
+    if (first.riskScore !== second.riskScore || first.securityVerdict !== second.securityVerdict) {
+        const detail = `(${first.securityVerdict} ${first.riskScore} vs ${second.securityVerdict} ${second.riskScore})`;
+        if (first.riskScore > second.riskScore) wins.push(`safer ${detail}`);
+        else tradeoffs.push(`a lower risk score ${detail}`);
+    }
+
+    if (!wins.length && !tradeoffs.length) {
+        return `${first.bridge} and ${second.bridge} tie on cost, speed and risk; Li.Fi's order decides.`;
+    }
+    const because = wins.length ? `: ${wins.join(', ')}` : '';
+    const despite = tradeoffs.length ? `${wins.length ? ',' : ''} despite ${tradeoffs.join(' and ')}` : '';
+    return `${first.bridge} ranks first under "${strategyName}" over ${second.bridge}${because}${despite}.`;
+}
+
+module.exports = { rankOptions, explainRanking, getStrategy, loadRanking, validateRanking, netCostUSD };
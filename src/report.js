@@ -0,0 +1,269 @@
+const { formatUsd } = require('./format');
+const { formatTokenAmount } = require('./amounts');
+const { version } = require('../package.json');
+
+// --- RECOMMENDATION REPORTS ---
+// Archivable record of why a route was chosen, built from a getBridgeOptions result:
+// every option with its fee breakdown (`feeDetails`), the risk rules that fired,
+// and where each data point came from (endpoint + fetch time).
+// Rendered as JSON, Markdown or a self-contained HTML page (inline CSS, no external assets).
+const FORMATS = ['md', 'html', 'json'];
+
+function feeLines(feeDetails = []) {
+    return feeDetails.map(f => ({
+        name: f.name,
+        amount: f.amount ?? null,
+        // Li.Fi amounts are atomic units; readable only when the token's decimals are known
+        amountHuman: f.amount && Number.isInteger(f.token?.decimals) ? formatTokenAmount(f.amount, f.token.decimals, f.token.symbol) : null,
+        symbol: f.token?.symbol ?? null,
+        amountUSD: f.amountUSD !== undefined ? parseFloat(f.amountUSD) : null,
+        // Li.Fi marks fees already deducted from the output as included
+        included: f.included ?? null
+    }));
+}
+
+// One flat, de-duplicated list: route/token lookups first, then security data per bridge
+function collectSources(result) {
+    const sources = [];
+    const seen = new Set();
+    const add = (entry) => {
+        const key = `${entry.data}|${entry.bridge || ''}|${entry.endpoint}|${entry.fetchedAt}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        sources.push(entry);
+    };
+
+    for (const [data, s] of Object.entries(result.sources || {})) {
+        if (s) add({ data, bridge: null, endpoint: s.endpoint, fetchedAt: s.fetchedAt, stale: false, available: true });
+    }
+    for (const option of result.options) {
+        (option.dataSources || []).forEach(add);
+    }
+    return sources;
+}
+
+function buildReport(result, request = {}, { generatedAt = new Date() } = {}) {
+    if (!result?.success) throw new Error(`Cannot build a report from a failed lookup: ${result?.error || 'no result'}`);
+    const best = result.options[0] || null;
+
+    return {
+        report: 'bridgesafety-recommendation',
+        generatedAt: new Date(generatedAt).toISOString(),
+        generator: `bridgesafety ${version}`,
+        request: {
+            fromChain: request.fromChain ?? null,
+            toChain: request.toChain ?? null,
+            token: request.token ?? null,
+            amount: request.amount ?? null,
+            toToken: request.toToken || request.token || null
+        },
+        strategy: result.strategy,
+        candidates: result.candidates,
+        recommendation: best ? {
+            bridge: best.bridge,
+            securityVerdict: best.securityVerdict,
+            riskScore: best.riskScore,
+            netCostUSD: best.netCostUSD,
+            amountOutHuman: best.amountOutHuman,
+            reason: result.rankingExplanation
+        } : null,
+        warnings: result.warnings || [],
+        degraded: result.degraded || [],
+        receivedToken: result.receivedToken || null,
+        options: result.options.map(o => ({
+            rank: o.rank,
+            bridge: o.bridge,
+            amountInHuman: o.amountInHuman,
+            amountOutHuman: o.amountOutHuman,
+            executionDuration: o.executionDuration,
+            costs: {
+                netCostUSD: o.netCostUSD,
+                protocolFeeUSD: parseFloat(o.protocolFeeUSD),
+                aggregatorFeeUSD: parseFloat(o.aggregatorFeeUSD),
+                gasCostUSD: parseFloat(o.gasCostUSD),
+                fees: feeLines(o.feeDetails)
+            },
+            risk: {
+                score: o.riskScore,
+                verdict: o.securityVerdict,
+                reason: o.securityReason,
+                policy: o.riskPolicy || null,
+                rules: o.riskBreakdown || [],
+                weakestStep: o.weakestStep ?? null,
+                tvl: o.tvl,
+                exposure: o.exposure || null,
+                trustModel: o.trustModel || null,
+                dataFreshness: o.securityDataFreshness || null
+            },
+            steps: (o.steps || []).map(s => ({
+                index: s.index,
+                type: s.type,
+                tool: s.tool,
+                fromChainId: s.fromChainId,
+                toChainId: s.toChainId,
+                securityVerdict: s.securityVerdict ?? null,
+                riskScore: s.riskScore ?? null
+            }))
+        })),
+        sources: collectSources(result)
+    };
+}
+
+// --- MARKDOWN ---
+
+const mdCell = (value) => (value === null || value === undefined || value === '' ? '-' : String(value).replace(/\|/g, '\\|').replace(/\n/g, ' '));
+const mdTable = (headers, rows) => [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(r => `| ${r.map(mdCell).join(' | ')} |`)
+].join('\n');
+
+const degradedLine = (d) => `${d.bridge ? `${d.bridge}: ` : ''}${d.data.replace('_', ' ')} from ${d.endpoint || 'upstream'} (${d.reason})`;
+
+function sourceRows(sources) {
+    const status = (s) => {
+        if (s.available === false) return 'unavailable';
+        if (!s.fetchedAt) return 'bundled';
+        return s.stale ? 'stale' : 'fresh';
+    };
+    return sources.map(s => [s.data, s.bridge, s.endpoint, s.fetchedAt, status(s)]);
+}
+
+function renderMarkdown(report) {
+    const r = report.request;
+    const lines = [
+        `# Bridge Recommendation: ${r.amount} ${r.token} ${r.fromChain} -> ${r.toChain}`,
+        '',
+        `Generated ${report.generatedAt} by ${report.generator}. Strategy: ${report.strategy} (${report.options.length} of ${report.candidates} candidates).`,
+        ''
+    ];
+
+    if (report.recommendation) {
+        const rec = report.recommendation;
+        lines.push('## Recommendation', '',
+            `**${rec.bridge}**: ${rec.securityVerdict} (${rec.riskScore}), net cost ${formatUsd(rec.netCostUSD)}, receives ${rec.amountOutHuman}.`, '');
+        if (rec.reason) lines.push(rec.reason, '');
+    }
+    if (report.warnings.length) {
+        lines.push('## Warnings', '', ...report.warnings.map(w => `- ${w}`), '');
+    }
+    if (report.degraded.length) {
+        lines.push('## Unavailable Data', '', 'Verdicts that depend on this data are UNVERIFIED.', '', ...report.degraded.map(d => `- ${degradedLine(d)}`), '');
+    }
+
+    lines.push('## Options', '', mdTable(
+        ['#', 'Bridge', 'Net Output', 'Net Cost', 'Bridge Fee', 'Li.Fi Fee', 'Gas', 'Duration', 'Risk'],
+        report.options.map(o => [o.rank, o.bridge, o.amountOutHuman, formatUsd(o.costs.netCostUSD), formatUsd(o.costs.protocolFeeUSD),
+            formatUsd(o.costs.aggregatorFeeUSD), formatUsd(o.costs.gasCostUSD), o.executionDuration, `${o.risk.verdict} (${o.risk.score})`])
+    ), '');
+
+    for (const o of report.options) {
+        lines.push(`### ${o.rank}. ${o.bridge}`, '');
+        lines.push(`Risk: ${o.risk.verdict} (${o.risk.score}) under ${o.risk.policy ? `${o.risk.policy.name} v${o.risk.policy.version}` : 'the risk policy'}. TVL ${o.risk.tvl}. Data: ${o.risk.dataFreshness || 'unknown'}.`, '');
+        if (o.steps.length > 1) {
+            lines.push('Steps:', '', mdTable(['Step', 'Type', 'Tool', 'Chains', 'Risk'],
+                o.steps.map(s => [s.index === o.risk.weakestStep ? `${s.index + 1} (weakest)` : s.index + 1, s.type, s.tool,
+                    `${s.fromChainId} -> ${s.toChainId}`, s.securityVerdict ? `${s.securityVerdict} (${s.riskScore})` : null])), '');
+        }
+        lines.push('Fees:', '', o.costs.fees.length
+            ? mdTable(['Fee', 'Amount', 'USD', 'Included'], o.costs.fees.map(f => [f.name, f.amountHuman || (f.amount && f.symbol ? `${f.amount} ${f.symbol} (atomic units)` : f.amount), formatUsd(f.amountUSD), f.included === null ? null : (f.included ? 'yes' : 'no')]))
+            : 'No fees reported.', '');
+        lines.push('Risk rules applied:', '', o.risk.rules.length
+            ? mdTable(['Rule', 'Severity', 'Value', 'Points', 'Cap', 'Message'], o.risk.rules.map(b => [b.rule, b.severity, typeof b.value === 'object' ? JSON.stringify(b.value) : b.value, `-${b.points}`, b.maxVerdict, b.message]))
+            : 'No rules fired; standard security checks passed.', '');
+    }
+
+    lines.push('## Sources', '', mdTable(['Data', 'Bridge', 'Endpoint', 'Fetched', 'Status'], sourceRows(report.sources)), '');
+    return lines.join('\n');
+}
+
+// --- HTML ---
+
+const escapeHtml = (value) => String(value ?? '-')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+const htmlTable = (headers, rows) => `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>`
+    + `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c === '' || c === null || c === undefined ? '-' : c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+const VERDICT_CLASS = { SECURE: 'secure', CAUTION: 'caution', UNVERIFIED: 'unverified', DANGER: 'danger' };
+
+function renderHtml(report) {
+    const r = report.request;
+    const title = `Bridge Recommendation: ${r.amount} ${r.token} ${r.fromChain} -> ${r.toChain}`;
+    const verdict = (v, score) => `<span class="verdict ${VERDICT_CLASS[v] || ''}">${escapeHtml(v)} (${escapeHtml(score)})</span>`;
+
+    const body = [
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p class="meta">Generated ${escapeHtml(report.generatedAt)} by ${escapeHtml(report.generator)}. Strategy: ${escapeHtml(report.strategy)} (${report.options.length} of ${report.candidates} candidates).</p>`
+    ];
+    if (report.recommendation) {
+        const rec = report.recommendation;
+        body.push('<h2>Recommendation</h2>',
+            `<p><strong>${escapeHtml(rec.bridge)}</strong>: ${verdict(rec.securityVerdict, rec.riskScore)}, net cost ${escapeHtml(formatUsd(rec.netCostUSD))}, receives ${escapeHtml(rec.amountOutHuman)}.</p>`);
+        if (rec.reason) body.push(`<p>${escapeHtml(rec.reason)}</p>`);
+    }
+    if (report.warnings.length) {
+        body.push('<h2>Warnings</h2>', `<ul class="warnings">${report.warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>`);
+    }
+    if (report.degraded.length) {
+        body.push('<h2>Unavailable Data</h2>', '<p>Verdicts that depend on this data are UNVERIFIED.</p>',
+            `<ul class="warnings">${report.degraded.map(d => `<li>${escapeHtml(degradedLine(d))}</li>`).join('')}</ul>`);
+    }
+    body.push('<h2>Options</h2>', htmlTable(
+        ['#', 'Bridge', 'Net Output', 'Net Cost', 'Bridge Fee', 'Li.Fi Fee', 'Gas', 'Duration', 'Risk'],
+        report.options.map(o => [o.rank, o.bridge, o.amountOutHuman, formatUsd(o.costs.netCostUSD), formatUsd(o.costs.protocolFeeUSD),
+            formatUsd(o.costs.aggregatorFeeUSD), formatUsd(o.costs.gasCostUSD), o.executionDuration, `${o.risk.verdict} (${o.risk.score})`])
+    ));
+
+    for (const o of report.options) {
+        body.push(`<section><h3>${escapeHtml(`${o.rank}. ${o.bridge}`)}</h3>`,
+            `<p>Risk: ${verdict(o.risk.verdict, o.risk.score)} under ${escapeHtml(o.risk.policy ? `${o.risk.policy.name} v${o.risk.policy.version}` : 'the risk policy')}. TVL ${escapeHtml(o.risk.tvl)}. Data: ${escapeHtml(o.risk.dataFreshness || 'unknown')}.</p>`);
+        if (o.steps.length > 1) {
+            body.push('<h4>Steps</h4>', htmlTable(['Step', 'Type', 'Tool', 'Chains', 'Risk'],
+                o.steps.map(s => [s.index === o.risk.weakestStep ? `${s.index + 1} (weakest)` : s.index + 1, s.type, s.tool,
+                    `${s.fromChainId} -> ${s.toChainId}`, s.securityVerdict ? `${s.securityVerdict} (${s.riskScore})` : null])));
+        }
+        body.push('<h4>Fees</h4>', o.costs.fees.length
+            ? htmlTable(['Fee', 'Amount', 'USD', 'Included'], o.costs.fees.map(f => [f.name, f.amountHuman || (f.amount && f.symbol ? `${f.amount} ${f.symbol} (atomic units)` : f.amount), formatUsd(f.amountUSD), f.included === null ? null : (f.included ? 'yes' : 'no')]))
+            : '<p>No fees reported.</p>');
+        body.push('<h4>Risk rules applied</h4>', o.risk.rules.length
+            ? htmlTable(['Rule', 'Severity', 'Value', 'Points', 'Cap', 'Message'], o.risk.rules.map(b => [b.rule, b.severity, typeof b.value === 'object' ? JSON.stringify(b.value) : b.value, `-${b.points}`, b.maxVerdict, b.message]))
+            : '<p>No rules fired; standard security checks passed.</p>', '</section>');
+    }
+    body.push('<h2>Sources</h2>', htmlTable(['Data', 'Bridge', 'Endpoint', 'Fetched', 'Status'], sourceRows(report.sources)));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 1100px; margin: 2em auto; padding: 0 1em; color: #222; }
+table { border-collapse: collapse; width: 100%; margin: 0.5em 0 1em; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+.meta { color: #666; }
+.verdict { font-weight: bold; }
+.secure { color: #1a7f37; }
+.caution { color: #9a6700; }
+.danger { color: #cf222e; }
+.unverified { color: #8250df; }
+.warnings li { color: #9a6700; }
+section { border-top: 1px solid #ddd; margin-top: 1.5em; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+function renderReport(report, format = 'md') {
+    if (format === 'json') return JSON.stringify(report, null, 2);
+    if (format === 'html') return renderHtml(report);
+    if (format === 'md') return renderMarkdown(report);
+    throw new Error(`Unknown report format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+}
+
+module.exports = { buildReport, renderReport, renderMarkdown, renderHtml, FORMATS };
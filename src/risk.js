@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const { formatDuration, formatUsdMillions } = require('./format');
+
+// --- POLICY-DRIVEN RISK SCORING ---
+// Rules, factor weights and verdict bands live in a versioned JSON policy file
+// (policies/risk-policy.json by default, override with BRIDGE_RISK_POLICY).
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'policies', 'risk-policy.json');
+// worst -> best. UNVERIFIED means security data we needed couldn't be fetched: it isn't a score band,
+// only rules can cap a verdict there, and only DANGER (something known to be bad) outranks it.
+const VERDICTS = ['DANGER', 'UNVERIFIED', 'CAUTION', 'SECURE'];
+const SCORE_VERDICTS = ['DANGER', 'CAUTION', 'SECURE'];
+
+const OPERATORS = {
+    gt: (v, t) => typeof v === 'number' && v > t,
+    gte: (v, t) => typeof v === 'number' && v >= t,
+    lt: (v, t) => typeof v === 'number' && v < t,
+    lte: (v, t) => typeof v === 'number' && v <= t,
+    eq: (v, t) => v === t,
+    neq: (v, t) => v !== undefined && v !== null && v !== t,
+    in: (v, t) => Array.isArray(t) && t.includes(v),
+    missing: (v) => v === undefined || v === null,
+    true: (v) => v === true
+};
+
+const policyCache = new Map();
+
+function validatePolicy(policy, file) {
+    const fail = (msg) => { throw new Error(`Invalid risk policy ${file}: ${msg}`); };
+
+    if (!policy.version) fail('missing "version"');
+    if (typeof policy.baseScore !== 'number') fail('"baseScore" must be a number');
+    if (!Array.isArray(policy.bands) || !policy.bands.length) fail('"bands" must be a non-empty array');
+    if (!Array.isArray(policy.rules)) fail('"rules" must be an array');
+    if (policy.exposure && !(policy.exposure.maxShareOfLiquidity > 0)) fail('"exposure.maxShareOfLiquidity" must be a positive number');
+
+    for (const band of policy.bands) {
+        if (!SCORE_VERDICTS.includes(band.verdict)) fail(`unknown verdict "${band.verdict}" in bands`);
+        if (typeof band.minScore !== 'number') fail(`band ${band.verdict} needs a numeric "minScore"`);
+    }
+
+    const ids = new Set();
+    for (const rule of policy.rules) {
+        if (!rule.id) fail('every rule needs an "id"');
+        if (ids.has(rule.id)) fail(`duplicate rule id "${rule.id}"`);
+        ids.add(rule.id);
+        const conditions = rule.conditions || [rule];
+        if (rule.conditions && (!Array.isArray(rule.conditions) || !rule.conditions.length)) fail(`rule ${rule.id} "conditions" must be a non-empty array`);
+        for (const c of conditions) {
+            if (!OPERATORS[c.op]) fail(`rule ${rule.id} uses unknown op "${c.op}"`);
+            if (!c.input) fail(`rule ${rule.id} needs an "input"`);
+        }
+        if (typeof rule.points !== 'number') fail(`rule ${rule.id} needs numeric "points"`);
+        if (rule.factor && !policy.factors?.[rule.factor]) fail(`rule ${rule.id} references unknown factor "${rule.factor}"`);
+        if (rule.maxVerdict && !VERDICTS.includes(rule.maxVerdict)) fail(`rule ${rule.id} has unknown maxVerdict "${rule.maxVerdict}"`);
+    }
+    return policy;
+}
+
+function loadPolicy(file = process.env.BRIDGE_RISK_POLICY || DEFAULT_POLICY_PATH) {
+    const resolved = path.resolve(file);
+    if (!policyCache.has(resolved)) {
+        const policy = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        policyCache.set(resolved, validatePolicy(policy, resolved));
+    }
+    return policyCache.get(resolved);
+}
+
+// Whether `data` is listed as degraded; a wholesale failure ("security") covers everything
+const unavailable = (securityStats, data) => (securityStats.degraded || []).some(d => d.data === data || d.data === 'security');
+
+// Numeric inputs the rules read. Display strings ("$12.34M") are never parsed back.
+function buildRiskInputs(securityStats) {
+    const trend = securityStats.tvl_trend || {};
+    return {
+        tvlUnavailable: unavailable(securityStats, 'tvl'),
+        hacksUnavailable: unavailable(securityStats, 'hacks'),
+        protocolMatchUnavailable: unavailable(securityStats, 'protocol_match'),
+        tvlUsd: typeof securityStats.tvl_usd === 'number' ? securityStats.tvl_usd : null,
+        recentHackCount: securityStats.recent_hack_count ?? 0,
+        tvlChange24h: trend.change_24h ?? null,
+        tvlChange7d: trend.change_7d ?? null,
+        tvlChange30d: trend.change_30d ?? null,
+        tvlDrawdownFromPeak: trend.drawdown_from_peak ?? null,
+        tvlOutflowAnomaly: trend.outflow_anomaly === true,
+        protocolMatchConfidence: securityStats.protocol_match?.confidence ?? null,
+        protocolMatchMethod: securityStats.protocol_match?.method ?? null,
+        protocolMatchSlug: securityStats.protocol_match?.slug ?? null,
+        ...trustInputs(securityStats.trust_model)
+    };
+}
+
+function trustInputs(model) {
+    if (!model) return { trustModelKnown: false };
+    return {
+        trustModelKnown: true,
+        validationType: model.validation.type,
+        upgradeable: model.upgradeable,
+        upgradeDelaySec: model.upgradeable ? (model.upgradeDelaySeconds ?? 0) : null,
+        multisigThreshold: model.multisig?.threshold ?? null,
+        multisigSigners: model.multisig?.signers ?? null,
+        multisigRatio: model.multisig ? model.multisig.threshold / model.multisig.signers : null,
+        tokenCustody: model.destinationToken.custody
+    };
+}
+
+function formatValue(value, unit) {
+    if (value === null || value === undefined) return 'n/a';
+    if (unit === 'usd') return formatUsdMillions(value);
+    if (unit === 'pct') return `${(value * 100).toFixed(1)}%`;
+    if (unit === 'seconds') return formatDuration(value);
+    return String(value);
+}
+
+// Placeholders: {value} and {threshold} for single-input rules, {<inputName>} or {<inputName>:<unit>} for any input
+function renderMessage(rule, value, inputs) {
+    return (rule.message || rule.id).replace(/\{(\w+)(?::(\w+))?\}/g, (match, name, unit) => {
+        if (name === 'value') return formatValue(value, unit || rule.unit);
+        if (name === 'threshold') return formatValue(rule.threshold, unit || rule.unit);
+        return name in inputs ? formatValue(inputs[name], unit) : match;
+    });
+}
+
+// A rule fires when its single condition, or every entry in `conditions`, holds
+function ruleFires(rule, inputs) {
+    const conditions = rule.conditions || [rule];
+    return conditions.every(c => OPERATORS[c.op](inputs[c.input], c.threshold));
+}
+
+function worstVerdict(a, b) {
+    return VERDICTS.indexOf(a) <= VERDICTS.indexOf(b) ? a : b;
+}
+
+// Human summary of how old the security inputs are, e.g. "tvl 12m old, hacks 2h 5m old (stale)"
+function describeFreshness(freshness) {
+    if (!freshness) return "Unknown";
+    const parts = Object.entries(freshness).map(([name, f]) => {
+        if (!f) return `${name} unavailable`;
+        const age = f.ageSeconds > 0 ? `${formatDuration(f.ageSeconds)} old` : "just fetched";
+        return `${name} ${age}${f.stale ? " (stale)" : ""}`;
+    });
+    return parts.join(", ");
+}
+
+// --- RISK SCORING ---
+function calculateRiskScore(securityStats, options = {}) {
+    const policy = options.policy || loadPolicy(options.policyPath);
+    const inputs = { ...buildRiskInputs(securityStats), ...options.inputs };
+
+    let score = policy.baseScore;
+    let cap = 'SECURE';
+    const breakdown = [];
+
+    for (const rule of policy.rules) {
+        if (!ruleFires(rule, inputs)) continue;
+        const value = rule.conditions
+            ? Object.fromEntries(rule.conditions.map(c => [c.input, inputs[c.input] ?? null]))
+            : inputs[rule.input];
+
+        const weight = rule.factor ? policy.factors[rule.factor].weight : 1;
+        const points = Math.round(rule.points * weight);
+        score -= points;
+        if (rule.maxVerdict) cap = worstVerdict(cap, rule.maxVerdict);
+
+        breakdown.push({
+            rule: rule.id,
+            factor: rule.factor || null,
+            severity: rule.severity || 'PENALTY',
+            input: rule.conditions ? rule.conditions.map(c => c.input) : rule.input,
+            value: value ?? null,
+            threshold: rule.threshold ?? null,
+            points,
+            maxVerdict: rule.maxVerdict || null,
+            message: renderMessage(rule, value, inputs)
+        });
+    }
+
+    score = Math.max(0, Math.min(policy.baseScore, score));
+
+    const bands = [...policy.bands].sort((a, b) => b.minScore - a.minScore);
+    const band = bands.find(b => score >= b.minScore) || bands[bands.length - 1];
+    const verdict = worstVerdict(band.verdict, cap);
+
+    return {
+        score,
+        verdict,
+        explanation: breakdown.length > 0
+            ? breakdown.map(b => `${b.severity}: ${b.message}${b.points ? ` (-${b.points})` : ''}`).join("; ")
+            : "Standard security checks passed.",
+        breakdown,
+        policy: { name: policy.name, version: policy.version },
+        dataFreshness: describeFreshness(securityStats.data_freshness)
+    };
+}
+
+module.exports = { calculateRiskScore, loadPolicy, validatePolicy, buildRiskInputs, worstVerdict, describeFreshness, VERDICTS };
@@ -0,0 +1,89 @@
+const { formatDuration } = require('./format');
+const { worstVerdict, VERDICTS } = require('./risk');
+
+// --- MULTI-HOP ROUTE ANALYSIS ---
+// A Li.Fi route is a list of steps. A step of type 'lifi' bundles several hops
+// (swap -> cross -> swap) in `includedSteps`; 'swap' and 'cross' steps are single hops.
+// Top-level step estimates already cover their included hops, so route totals are
+// summed over `route.steps` and the per-hop breakdown comes from the flattened hops.
+
+const sumUSD = (costs = []) => costs.reduce((sum, c) => sum + parseFloat(c.amountUSD || 0), 0);
+
+// Li.Fi's own cut is reported as a fee whose name contains "LIFI"
+function splitFees(feeCosts = []) {
+    return {
+        aggregatorFeeUSD: sumUSD(feeCosts.filter(f => f.name.includes('LIFI'))),
+        protocolFeeUSD: sumUSD(feeCosts.filter(f => !f.name.includes('LIFI')))
+    };
+}
+
+function flattenSteps(route) {
+    return (route.steps || []).flatMap(step => step.includedSteps?.length ? step.includedSteps : [step]);
+}
+
+// Bridge hops are the ones the security check applies to; swaps run on the same chain
+function isBridgeHop(step) {
+    if (step.type === 'cross') return true;
+    const action = step.action || {};
+    return step.type === 'lifi' && action.fromChainId !== undefined && action.fromChainId !== action.toChainId;
+}
+
+function describeStep(step, index) {
+    const estimate = step.estimate || {};
+    const action = step.action || {};
+    const { aggregatorFeeUSD, protocolFeeUSD } = splitFees(estimate.feeCosts);
+    return {
+        index,
+        tool: step.toolDetails?.key || step.tool,
+        type: step.type,
+        isBridge: isBridgeHop(step),
+        fromChainId: action.fromChainId,
+        toChainId: action.toChainId,
+        fromToken: action.fromToken?.symbol,
+        toToken: action.toToken?.symbol,
+        protocolFeeUSD: protocolFeeUSD.toFixed(4),
+        aggregatorFeeUSD: aggregatorFeeUSD.toFixed(4),
+        gasCostUSD: sumUSD(estimate.gasCosts).toFixed(4),
+        executionDurationSeconds: estimate.executionDuration || 0,
+        executionDuration: formatDuration(estimate.executionDuration),
+        feeDetails: estimate.feeCosts || []
+    };
+}
+
+// Hops run one after another, so durations add up like the fees do
+function totalSteps(route) {
+    const steps = route.steps || [];
+    const feeCosts = steps.flatMap(s => s.estimate?.feeCosts || []);
+    const { aggregatorFeeUSD, protocolFeeUSD } = splitFees(feeCosts);
+    const gasCostUSD = steps.some(s => s.estimate?.gasCosts?.length)
+        ? sumUSD(steps.flatMap(s => s.estimate.gasCosts || []))
+        : parseFloat(route.gasCostUSD || 0);
+    const seconds = steps.reduce((sum, s) => sum + (s.estimate?.executionDuration || 0), 0);
+    return {
+        protocolFeeUSD: protocolFeeUSD.toFixed(4),
+        aggregatorFeeUSD: aggregatorFeeUSD.toFixed(4),
+        gasCostUSD: gasCostUSD.toFixed(4),
+        executionDurationSeconds: seconds,
+        executionDuration: formatDuration(seconds),
+        feeDetails: feeCosts
+    };
+}
+
+// Weakest link: the route is only as safe as its riskiest hop.
+// `assessed` is [{ step, risk }] with risk from calculateRiskScore.
+function compositeRisk(assessed) {
+    const weakest = assessed.reduce((worst, a) => {
+        if (!worst) return a;
+        const byVerdict = VERDICTS.indexOf(a.risk.verdict) - VERDICTS.indexOf(worst.risk.verdict);
+        return byVerdict < 0 || (byVerdict === 0 && a.risk.score < worst.risk.score) ? a : worst;
+    }, null);
+
+    const verdict = assessed.reduce((v, a) => worstVerdict(v, a.risk.verdict), 'SECURE');
+    const explanation = assessed.length > 1
+        ? `Weakest hop: ${weakest.step.tool} (step ${weakest.step.index + 1}, ${weakest.risk.verdict}). ${weakest.risk.explanation}`
+        : weakest.risk.explanation;
+
+    return { score: weakest.risk.score, verdict, explanation, weakest };
+}
+
+module.exports = { flattenSteps, describeStep, totalSteps, compositeRisk, isBridgeHop, splitFees };
@@ -0,0 +1,52 @@
+const source = require('./datasource');
+const { resolveChain } = require('./chains');
+
+// --- JSON-RPC ---
+// Read-only chain calls (token allowances). The endpoint for a chain is, in order:
+//   BRIDGE_RPC_URLS  per chain, "42161=http://127.0.0.1:8545,10=https://..."
+//   BRIDGE_RPC_URL   one endpoint for every chain, e.g. a local devnet or fork
+//   the first RPC URL Li.Fi's chain list publishes for the chain
+// Calls go through the data source layer, so they're recorded, replayed and retried like the rest.
+
+function configuredUrls() {
+    return Object.fromEntries((process.env.BRIDGE_RPC_URLS || '').split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const at = entry.indexOf('=');
+            return [entry.slice(0, at).trim(), entry.slice(at + 1).trim()];
+        }));
+}
+
+async function rpcUrl(chainId) {
+    const perChain = configuredUrls()[String(chainId)];
+    if (perChain) return perChain;
+    if (process.env.BRIDGE_RPC_URL) return process.env.BRIDGE_RPC_URL;
+    const chain = await resolveChain(chainId);
+    return chain.rpcUrls?.[0] || null;
+}
+
+// Calls are one request per POST, so the id is constant: it's part of the body, and a counter would
+// give the same call a different fixture name depending on how many calls the process made before it
+const RPC_ID = 1;
+
+async function rpcCall(chainId, method, params) {
+    const url = await rpcUrl(chainId);
+    if (!url) throw new Error(`No JSON-RPC endpoint for chain ${chainId}. Set BRIDGE_RPC_URLS or BRIDGE_RPC_URL.`);
+
+    const res = await source.post(url, { jsonrpc: '2.0', id: RPC_ID, method, params }, { timeout: 10000 });
+    if (res.data?.error) throw new Error(`RPC ${method} failed: ${res.data.error.message || JSON.stringify(res.data.error)}`);
+    if (res.data?.result === undefined) throw new Error(`RPC ${method} returned no result`);
+    return res.data.result;
+}
+
+const word = (hex) => hex.replace(/^0x/, '').toLowerCase().padStart(64, '0');
+
+// ERC-20 allowance(owner, spender) as a BigInt, in the token's atomic units
+async function getAllowance(chainId, token, owner, spender) {
+    const data = `0xdd62ed3e${word(owner)}${word(spender)}`;
+    const result = await rpcCall(chainId, 'eth_call', [{ to: token, data }, 'latest']);
+    return result === '0x' ? 0n : BigInt(result);
+}
+
+module.exports = { rpcCall, rpcUrl, getAllowance };
@@ -0,0 +1,56 @@
+const { z } = require("zod");
+
+// --- TOOL INPUT SCHEMAS ---
+// Shared by the LangGraph tools (graph.js) and the HTTP API (server.js),
+// so the model and REST clients are validated by exactly the same rules.
+
+const routeSchema = z.object({
+    fromChain: z.string().describe("Source chain (e.g., 'eth', 'base', 'arb')"),
+    toChain: z.string().describe("Destination chain"),
+    fromToken: z.string().describe("Source Token Symbol OR Address (if known). e.g. 'USDC' or '0x...'"),
+    toToken: z.string().describe("Destination Token Symbol (e.g. 'USDC'). Do NOT use address here unless sure."),
+    amount: z.string().describe("Human-readable amount exactly as the user said it (e.g. '1000', '1,000.5', '1k'). Do NOT convert to atomic units; the tool uses the token's decimals."),
+    fromAddress: z.string().optional().describe("Sender wallet address. Only if the user gave one; otherwise the configured sender is used."),
+    toAddress: z.string().optional().describe("Recipient wallet address on the destination chain. Only if the user gave one; defaults to the sender."),
+});
+
+const securitySchema = z.object({
+    bridgeName: z.string().describe("Name of the bridge (e.g., 'stargate', 'across')"),
+});
+
+const tokenSchema = z.object({
+    chain: z.string().describe("Chain name or ID (e.g. 'base', 'arb', '1')"),
+    symbol: z.string().describe("Token symbol (e.g. 'USDC', 'USDT')"),
+});
+
+const optionsSchema = z.object({
+    fromChain: z.string(),
+    toChain: z.string(),
+    fromToken: z.string().describe("Source Token Symbol OR Address"),
+    toToken: z.string().describe("Destination Token Symbol"),
+    amount: z.string().describe("Human-readable amount (e.g. '1000', '1,000.5', '1k'). Do NOT convert to atomic units."),
+    strategy: z.string().optional().describe("Ranking strategy: 'cheapest', 'fastest', 'safest' or 'balanced' (default)"),
+});
+
+const splitSchema = optionsSchema.extend({
+    minVerdict: z.enum(['SECURE', 'CAUTION', 'DANGER']).optional().describe("Lowest verdict a tranche may have (default 'CAUTION')"),
+    maxBridges: z.coerce.number().int().min(1).max(10).optional().describe("Most bridges to split across (default 3)"),
+    maxShare: z.coerce.number().gt(0).max(1).optional().describe("Largest fraction of the total any one bridge may carry (default 0.5)"),
+});
+
+const reportSchema = optionsSchema.extend({
+    format: z.enum(['md', 'html', 'json']).optional().describe("Report format (default 'md')"),
+});
+
+const trackSchema = z.object({
+    txHash: z.string().regex(/^(0x[0-9a-fA-F]{64}|[1-9A-HJ-NP-Za-km-z]{64,88})$/, "Expected a transaction hash (0x + 64 hex characters, or a Solana signature)")
+        .describe("Hash of the transaction the user submitted on the source chain"),
+    bridge: z.string().optional().describe("Bridge the transfer went through (e.g. 'across'), if known"),
+    fromChain: z.string().optional().describe("Source chain, if known"),
+    toChain: z.string().optional().describe("Destination chain, if known"),
+    expectedSeconds: z.coerce.number().int().positive().optional().describe("Duration the user was quoted, in seconds. Leave out to re-estimate it."),
+});
+
+const listBridgesSchema = z.object({});
+
+module.exports = { routeSchema, securitySchema, tokenSchema, optionsSchema, splitSchema, reportSchema, trackSchema, listBridgesSchema };
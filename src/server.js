@@ -0,0 +1,303 @@
+require('dotenv').config({ quiet: true });
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { HumanMessage } = require("@langchain/core/messages");
+const { getRoute, getBridgeOptions, getSecurityStats, calculateRiskScore, getTokenDetails, getSupportedBridges, getSupportedChains } = require('./tools');
+const { routeSchema, securitySchema, tokenSchema, optionsSchema, splitSchema, reportSchema, trackSchema } = require('./schemas');
+const { trackTransfer } = require('./tracking');
+const { planSplitTransfer } = require('./splitPlanner');
+const { parseHumanAmount } = require('./amounts');
+const { getSession, getSessionMessages, deleteSession } = require('./sessions');
+const { loadRanking } = require('./ranking');
+const { resolveChain, UnknownChainError } = require('./chains');
+const { buildReport, renderReport } = require('./report');
+const { upstreamStatus } = require('./upstream');
+const { resolveParties } = require('./transaction');
+
+// --- HTTP API ---
+// REST wrappers around tools.js plus a /chat endpoint backed by the LangGraph agent.
+// Errors are always `{ success: false, error: { code, message, details? } }`.
+
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Same zod schemas as the agent's tools. REST callers may omit toToken (defaults to fromToken).
+function validate(schema, input) {
+    const parsed = schema.safeParse(input);
+    if (!parsed.success) {
+        const details = parsed.error.issues.map(i => ({ field: i.path.join('.'), message: i.message }));
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid request parameters', details);
+    }
+    return parsed.data;
+}
+
+// Tools report failures as `{ success: false, error }` rather than throwing
+function unwrap(result) {
+    if (result && result.success === false) throw new ApiError(502, 'UPSTREAM_ERROR', result.error);
+    if (result && result.error && result.success === undefined) throw new ApiError(502, 'UPSTREAM_ERROR', result.error);
+    return result;
+}
+
+// Express 5 forwards rejected promises to the error handler, so handlers can just throw
+const route = (handler) => async (req, res) => {
+    res.json(await handler(req, res));
+};
+
+// Amount syntax is checked up front so a typo is a 400, not an upstream failure
+function isHumanAmount(value) {
+    try {
+        parseHumanAmount(value);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function isStrategy(name) {
+    return !name || Boolean(loadRanking().strategies[name.toLowerCase()]);
+}
+
+// Unknown chain names are the caller's mistake, so they get a 400 with the suggestions
+async function checkChains(query, fields) {
+    const details = [];
+    for (const field of fields) {
+        try {
+            await resolveChain(query[field]);
+        } catch (e) {
+            if (!(e instanceof UnknownChainError)) throw e;
+            details.push({ field, message: e.message, suggestions: e.suggestions });
+        }
+    }
+    if (details.length) throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid request parameters', details);
+    return query;
+}
+
+// A malformed sender / recipient is fixed by passing fromAddress / toAddress, so it's a 400 too
+async function checkParties(query) {
+    const [from, to] = [await resolveChain(query.fromChain), await resolveChain(query.toChain)];
+    try {
+        resolveParties(query, { fromChainType: from.chainType, toChainType: to.chainType });
+    } catch (e) {
+        const field = e.message.includes('recipient') ? 'toAddress' : 'fromAddress';
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid request parameters', [{ field, message: e.message }]);
+    }
+    return query;
+}
+
+const transferSchema = (schema) => schema
+    .partial({ toToken: true })
+    .refine(q => isHumanAmount(q.amount), { path: ['amount'], message: "Expected a number like '1000', '1,000.5' or '1k'" });
+
+// --- CHAT SESSIONS ---
+// History is kept by the graph's file-backed checkpointer (see sessions.js), keyed by
+// sessionId, so conversations survive restarts and are shared with `bridgesafety --session`.
+let graph = null;
+function getGraph() {
+    // Loaded lazily so the REST endpoints work without LLM credentials
+    if (!graph) graph = require('./graph').graph;
+    return graph;
+}
+
+function messageText(message) {
+    return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+}
+
+function sessionConfig(sessionId) {
+    if (!/^[\w.-]+$/.test(sessionId)) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid request parameters', [{ field: 'sessionId', message: 'Letters, digits, ".", "_" and "-" only' }]);
+    }
+    return { configurable: { thread_id: sessionId } };
+}
+
+async function runChat(sessionId, text, onEvent) {
+    const config = sessionConfig(sessionId);
+    let reply = null;
+    let verification = null;
+
+    // Only the new message is sent; the checkpointer supplies the earlier turns
+    const stream = await getGraph().stream(
+        { messages: [new HumanMessage(text)] },
+        { ...config, streamMode: ['updates', 'messages'] }
+    );
+
+    for await (const [mode, chunk] of stream) {
+        if (mode === 'messages') {
+            const [message, metadata] = chunk;
+            if (metadata?.langgraph_node === 'agent' && message.content) {
+                onEvent('token', { content: messageText(message) });
+            }
+            continue;
+        }
+        for (const [node, update] of Object.entries(chunk)) {
+            // Streamed drafts may be corrected or replaced; `done` always carries the checked reply
+            if (node === 'verify' && update?.verification) {
+                verification = update.verification;
+                onEvent('verification', verification);
+            }
+            if (!update?.messages) continue;
+            for (const m of update.messages) {
+                if (m._getType() === 'remove' || m.name === 'verifier') continue;
+                if (m.tool_calls?.length) onEvent('tool_call', { tools: m.tool_calls.map(tc => ({ name: tc.name, args: tc.args })) });
+                if (node === 'tools') onEvent('tool_result', { name: m.name, content: messageText(m) });
+                reply = m;
+            }
+        }
+    }
+
+    const session = getSession(sessionId);
+    return { sessionId, reply: reply ? messageText(reply) : '', verification, turns: session ? session.messageCount : 0 };
+}
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // `degraded` while any upstream host's circuit breaker is open or probing
+    app.get('/health', (req, res) => {
+        const upstream = upstreamStatus();
+        const status = Object.values(upstream).some(h => h.circuit !== 'closed') ? 'degraded' : 'ok';
+        res.json({ success: true, status, upstream });
+    });
+
+    app.get('/quote', route(async (req) => {
+        const q = await checkParties(await checkChains(validate(transferSchema(routeSchema), req.query), ['fromChain', 'toChain']));
+        return unwrap(await getRoute(q.fromChain, q.toChain, q.fromToken, q.amount, q.toToken, { fromAddress: q.fromAddress, toAddress: q.toAddress }));
+    }));
+
+    app.get('/compare', route(async (req) => {
+        const q = validate(transferSchema(optionsSchema).refine(q => isStrategy(q.strategy), {
+            path: ['strategy'],
+            message: `Expected one of: ${Object.keys(loadRanking().strategies).join(', ')}`
+        }), req.query);
+        await checkChains(q, ['fromChain', 'toChain']);
+        return unwrap(await getBridgeOptions(q.fromChain, q.toChain, q.fromToken, q.amount, q.toToken, { strategy: q.strategy }));
+    }));
+
+    // Same ranking as /compare with every candidate included, as Markdown, HTML or JSON
+    app.get('/report', async (req, res) => {
+        const q = validate(transferSchema(reportSchema).refine(q => isStrategy(q.strategy), {
+            path: ['strategy'],
+            message: `Expected one of: ${Object.keys(loadRanking().strategies).join(', ')}`
+        }), req.query);
+        await checkChains(q, ['fromChain', 'toChain']);
+        const result = unwrap(await getBridgeOptions(q.fromChain, q.toChain, q.fromToken, q.amount, q.toToken, { strategy: q.strategy, limit: Infinity }));
+        const report = buildReport(result, { fromChain: q.fromChain, toChain: q.toChain, token: q.fromToken, amount: q.amount, toToken: q.toToken });
+
+        const format = q.format || 'md';
+        if (format === 'json') return res.json(report);
+        res.type(format === 'html' ? 'html' : 'text/markdown; charset=utf-8').send(renderReport(report, format));
+    });
+
+    app.get('/split', route(async (req) => {
+        const q = await checkChains(validate(transferSchema(splitSchema), req.query), ['fromChain', 'toChain']);
+        return unwrap(await planSplitTransfer(q.fromChain, q.toChain, q.fromToken, q.amount, q.toToken, {
+            minVerdict: q.minVerdict,
+            maxBridges: q.maxBridges,
+            maxShare: q.maxShare,
+            strategy: q.strategy
+        }));
+    }));
+
+    // GET /track/:txHash?bridge=&fromChain=&toChain=&expectedSeconds=
+    app.get('/track/:txHash', route(async (req) => {
+        const q = validate(trackSchema, { ...req.query, txHash: req.params.txHash });
+        await checkChains(q, ['fromChain', 'toChain'].filter(field => q[field]));
+        return unwrap(await trackTransfer(q.txHash, { bridge: q.bridge, fromChain: q.fromChain, toChain: q.toChain, expectedSeconds: q.expectedSeconds }));
+    }));
+
+    app.get('/security/:bridgeName', route(async (req) => {
+        const { bridgeName } = validate(securitySchema, req.params);
+        const stats = unwrap(await getSecurityStats(bridgeName));
+        return { success: true, ...stats, risk_analysis: calculateRiskScore(stats) };
+    }));
+
+    app.get('/token/:chain/:symbol', route(async (req) => {
+        const { chain, symbol } = await checkChains(validate(tokenSchema, req.params), ['chain']);
+        return unwrap(await getTokenDetails(chain, symbol));
+    }));
+
+    app.get('/bridges', route(async () => unwrap(await getSupportedBridges())));
+
+    app.get('/chains', route(async () => unwrap(await getSupportedChains())));
+
+    // POST /chat { message, sessionId? }. Streams Server-Sent Events when the client
+    // sends `Accept: text/event-stream` or `?stream=true`.
+    app.post('/chat', async (req, res) => {
+        const body = req.body || {};
+        if (typeof body.message !== 'string' || !body.message.trim()) {
+            throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid request parameters', [{ field: 'message', message: 'Required non-empty string' }]);
+        }
+        const sessionId = body.sessionId || randomUUID();
+        const streaming = req.query.stream === 'true' || (req.get('accept') || '').includes('text/event-stream');
+
+        if (!streaming) {
+            res.json({ success: true, ...(await runChat(sessionId, body.message, () => { })) });
+            return;
+        }
+
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.flushHeaders();
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        send('session', { sessionId });
+        try {
+            send('done', { success: true, ...(await runChat(sessionId, body.message, send)) });
+        } catch (error) {
+            send('error', { code: 'CHAT_FAILED', message: error.message });
+        }
+        res.end();
+    });
+
+    app.get('/chat/:sessionId', async (req, res) => {
+        const { sessionId } = req.params;
+        const session = getSession(sessionId);
+        if (!session) throw new ApiError(404, 'SESSION_NOT_FOUND', `No chat session ${sessionId}`);
+        const messages = await getSessionMessages(sessionId);
+        res.json({
+            success: true,
+            sessionId,
+            session,
+            messages: messages.map(m => ({ role: m._getType(), content: messageText(m) }))
+        });
+    });
+
+    app.delete('/chat/:sessionId', async (req, res) => {
+        const { sessionId } = req.params;
+        if (!getSession(sessionId)) throw new ApiError(404, 'SESSION_NOT_FOUND', `No chat session ${sessionId}`);
+        // Through the checkpointer when the graph is loaded, so its in-memory copy goes too
+        if (graph) await require('./graph').checkpointer.deleteThread(sessionId);
+        else deleteSession(sessionId);
+        res.json({ success: true, deleted: sessionId });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: `No route for ${req.method} ${req.path}` } });
+    });
+
+    // Express recognizes error handlers by their four arguments
+    app.use((err, req, res, next) => {
+        const status = err.status || (err.type === 'entity.parse.failed' ? 400 : 500);
+        const code = err instanceof ApiError ? err.code : (status === 400 ? 'BAD_REQUEST' : 'INTERNAL_ERROR');
+        res.status(status).json({
+            success: false,
+            error: { code, message: err.message, ...(err.details ? { details: err.details } : {}) }
+        });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 3000;
+    createApp().listen(port, () => {
+        console.log(`Bridge Safety API listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createApp, ApiError };
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { MemorySaver } = require('@langchain/langgraph');
+
+// --- PERSISTENT CONVERSATION SESSIONS ---
+// A LangGraph checkpointer that keeps MemorySaver's in-memory layout but mirrors
+// every thread to its own JSON file, so conversations survive restarts.
+// A thread is re-read whenever its file changed since this process last read or wrote it,
+// so the CLI and the server can share a session without writing stale copies over each other.
+// Directory: BRIDGE_SESSIONS_DIR or ./.bridgesafety/sessions
+
+function sessionsDir() {
+    return process.env.BRIDGE_SESSIONS_DIR || path.join(process.cwd(), '.bridgesafety', 'sessions');
+}
+
+function sessionFile(threadId) {
+    if (!/^[\w.-]+$/.test(threadId)) throw new Error(`Invalid session id "${threadId}"`);
+    return path.join(sessionsDir(), `${threadId}.json`);
+}
+
+// Serialized checkpoints are Uint8Arrays; JSON gets them as base64
+const encode = (bytes) => Buffer.from(bytes).toString('base64');
+const decode = (text) => new Uint8Array(Buffer.from(text, 'base64'));
+
+function readSessionFile(threadId) {
+    try {
+        return JSON.parse(fs.readFileSync(sessionFile(threadId), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Changes whenever another process (the CLI, the server, `sessions delete`) writes or removes the file
+function fileVersion(threadId) {
+    try {
+        const stat = fs.statSync(sessionFile(threadId));
+        return `${stat.mtimeMs}:${stat.size}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeSessionFile(threadId, data) {
+    fs.mkdirSync(sessionsDir(), { recursive: true });
+    const file = sessionFile(threadId);
+    // Write-then-rename so a crash never leaves half a session behind
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function describeMessages(messages = []) {
+    const firstHuman = messages.find(m => (m._getType?.() || m.type) === 'human');
+    const text = firstHuman && typeof firstHuman.content === 'string' ? firstHuman.content : '';
+    return { messageCount: messages.length, title: text.length > 60 ? `${text.slice(0, 57)}...` : text };
+}
+
+class FileCheckpointSaver extends MemorySaver {
+    constructor(serde) {
+        super(serde);
+        this.loaded = new Map(); // threadId -> file version it was last read or written at
+        this.meta = {};
+    }
+
+    // Drop the in-memory copy of a thread
+    forget(threadId) {
+        delete this.storage[threadId];
+        delete this.meta[threadId];
+        for (const key of Object.keys(this.writes)) {
+            if (JSON.parse(key)[0] === threadId) delete this.writes[key];
+        }
+    }
+
+    load(threadId) {
+        if (!threadId) return;
+        const version = fileVersion(threadId);
+        if (this.loaded.has(threadId) && this.loaded.get(threadId) === version) return;
+
+        // First use, or the file was written or deleted elsewhere: the file wins
+        if (this.loaded.has(threadId)) this.forget(threadId);
+        this.loaded.set(threadId, version);
+
+        const data = readSessionFile(threadId);
+        if (!data) return;
+
+        this.meta[threadId] = data.meta;
+        this.storage[threadId] = {};
+        for (const [ns, checkpoints] of Object.entries(data.storage || {})) {
+            this.storage[threadId][ns] = {};
+            for (const [id, [checkpoint, metadata, parentId]] of Object.entries(checkpoints)) {
+                this.storage[threadId][ns][id] = [decode(checkpoint), decode(metadata), parentId ?? undefined];
+            }
+        }
+        for (const [key, writes] of Object.entries(data.writes || {})) {
+            this.writes[key] = {};
+            for (const [inner, [taskId, channel, value]] of Object.entries(writes)) {
+                this.writes[key][inner] = [taskId, channel, decode(value)];
+            }
+        }
+    }
+
+    persist(threadId) {
+        const storage = {};
+        for (const [ns, checkpoints] of Object.entries(this.storage[threadId] || {})) {
+            storage[ns] = {};
+            for (const [id, [checkpoint, metadata, parentId]] of Object.entries(checkpoints)) {
+                storage[ns][id] = [encode(checkpoint), encode(metadata), parentId ?? null];
+            }
+        }
+        const writes = {};
+        for (const [key, entries] of Object.entries(this.writes)) {
+            if (JSON.parse(key)[0] !== threadId) continue;
+            writes[key] = {};
+            for (const [inner, [taskId, channel, value]] of Object.entries(entries)) {
+                writes[key][inner] = [taskId, channel, encode(value)];
+            }
+        }
+        writeSessionFile(threadId, { meta: this.meta[threadId], storage, writes });
+        this.loaded.set(threadId, fileVersion(threadId));
+    }
+
+    async getTuple(config) {
+        this.load(config.configurable?.thread_id);
+        return super.getTuple(config);
+    }
+
+    async *list(config, options) {
+        if (config.configurable?.thread_id) {
+            this.load(config.configurable.thread_id);
+        } else {
+            listSessions().forEach(s => this.load(s.id));
+        }
+        yield* super.list(config, options);
+    }
+
+    async put(config, checkpoint, metadata) {
+        const threadId = config.configurable?.thread_id;
+        this.load(threadId);
+        const result = await super.put(config, checkpoint, metadata);
+
+        const now = new Date().toISOString();
+        // Re-read the file's meta so a rename from another process isn't overwritten
+        const previous = readSessionFile(threadId)?.meta || this.meta[threadId] || { id: threadId, name: null, createdAt: now };
+        this.meta[threadId] = { ...previous, ...describeMessages(checkpoint.channel_values?.messages), updatedAt: now };
+        this.persist(threadId);
+        return result;
+    }
+
+    async putWrites(config, writes, taskId) {
+        const threadId = config.configurable?.thread_id;
+        this.load(threadId);
+        await super.putWrites(config, writes, taskId);
+        this.persist(threadId);
+    }
+
+    async deleteThread(threadId) {
+        await super.deleteThread(threadId);
+        delete this.meta[threadId];
+        this.loaded.delete(threadId);
+        fs.rmSync(sessionFile(threadId), { force: true });
+    }
+}
+
+// --- SESSION MANAGEMENT ---
+
+function listSessions() {
+    let files = [];
+    try {
+        files = fs.readdirSync(sessionsDir()).filter(f => f.endsWith('.json'));
+    } catch (e) {
+        return [];
+    }
+    return files
+        .map(f => readSessionFile(path.basename(f, '.json'))?.meta)
+        .filter(Boolean)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function getSession(threadId) {
+    return readSessionFile(threadId)?.meta || null;
+}
+
+// Latest stored messages of a thread, read through a checkpointer of its own so showing
+// a session doesn't need the graph (and its LLM credentials)
+async function getSessionMessages(threadId) {
+    const tuple = await new FileCheckpointSaver().getTuple({ configurable: { thread_id: threadId } });
+    return tuple?.checkpoint.channel_values?.messages || [];
+}
+
+function renameSession(threadId, name) {
+    const data = readSessionFile(threadId);
+    if (!data) return null;
+    data.meta = { ...data.meta, name };
+    writeSessionFile(threadId, data);
+    return data.meta;
+}
+
+function deleteSession(threadId) {
+    if (!readSessionFile(threadId)) return false;
+    fs.rmSync(sessionFile(threadId), { force: true });
+    return true;
+}
+
+module.exports = { FileCheckpointSaver, listSessions, getSession, getSessionMessages, renameSession, deleteSession, sessionsDir };
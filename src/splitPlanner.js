@@ -0,0 +1,198 @@
+const { getBridgeOptions, getTokenDetails, normalizeChain } = require('./tools');
+const { toAtomicUnits, fromAtomicUnits, formatTokenAmount } = require('./amounts');
+const { formatUsd } = require('./format');
+const { VERDICTS } = require('./risk');
+
+// --- SPLIT-TRANSFER PLANNER ---
+// Spreads a large transfer over several bridges so one exploit can't take all of it.
+//   1. Quote the full amount: the best single bridge is the baseline, the rest are candidates.
+//   2. Fill bridges in rank order, each up to the smaller of its max safe size
+//      (exposure.max_safe_transfer_usd) and `maxShare` of the total.
+//   3. Re-quote every tranche at its real size on its own bridge. Tranches that fall
+//      below `minVerdict` drop their bridge and the plan is rebuilt without it.
+const DEFAULT_MIN_VERDICT = 'CAUTION';
+const DEFAULT_MAX_BRIDGES = 3;
+const DEFAULT_MAX_SHARE = 0.5;
+const MAX_ROUNDS = 3;
+const CANDIDATE_LIMIT = 20;
+
+const meetsVerdict = (verdict, minVerdict) => VERDICTS.indexOf(verdict) >= VERDICTS.indexOf(minVerdict);
+
+// Fraction of a BigInt amount, to 6 decimal places of precision
+const shareOf = (atomic, fraction) => atomic * BigInt(Math.floor(Math.min(fraction, 1) * 1e6)) / 1000000n;
+// USD cap -> token units, at cent precision
+const cents = (usd) => BigInt(Math.floor(usd * 100));
+
+function allocate(candidates, totalAtomic, totalUsd, { maxBridges, maxShare }) {
+    const tranches = [];
+    let remaining = totalAtomic;
+
+    for (const candidate of candidates) {
+        if (remaining <= 0n || tranches.length >= maxBridges) break;
+        // Unknown liquidity means no exposure cap, but the share cap still applies
+        const liquidityCap = candidate.maxSafeUsd && totalUsd > 0
+            ? totalAtomic * cents(Math.min(candidate.maxSafeUsd, totalUsd)) / cents(totalUsd)
+            : totalAtomic;
+        const cap = [liquidityCap, shareOf(totalAtomic, maxShare), remaining].reduce((a, b) => (b < a ? b : a));
+        if (cap <= 0n) continue;
+        tranches.push({ bridge: candidate.bridge, atomic: cap });
+        remaining -= cap;
+    }
+    return tranches;
+}
+
+async function planSplitTransfer(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTokenRaw, options = {}) {
+    const toTokenSymbol = toTokenRaw || fromTokenRaw;
+    const minVerdict = (options.minVerdict || DEFAULT_MIN_VERDICT).toUpperCase();
+    const maxBridges = options.maxBridges ?? DEFAULT_MAX_BRIDGES;
+    const maxShare = options.maxShare ?? DEFAULT_MAX_SHARE;
+
+    try {
+        const fromChain = await normalizeChain(fromChainRaw);
+        const toChain = await normalizeChain(toChainRaw);
+        if (!VERDICTS.includes(minVerdict)) {
+            throw new Error(`Unknown verdict "${options.minVerdict}". Expected one of: ${VERDICTS.join(', ')}`);
+        }
+        if (!(Number.isInteger(maxBridges) && maxBridges >= 1)) throw new Error(`maxBridges must be a positive integer, got ${options.maxBridges}`);
+        if (!(maxShare > 0 && maxShare <= 1)) throw new Error(`maxShare must be between 0 and 1, got ${options.maxShare}`);
+
+        const token = await getTokenDetails(fromChain, fromTokenRaw);
+        if (!token.success) throw new Error(`Could not resolve ${fromTokenRaw} on chain ${fromChain}: ${token.error}`);
+        const totalAtomic = BigInt(toAtomicUnits(amountRaw, token.decimals));
+        const toToken = await getTokenDetails(toChain, toTokenSymbol);
+
+        // --- 1. Full amount: baseline and candidates ---
+        const full = await getBridgeOptions(fromChain, toChain, fromTokenRaw, amountRaw, toTokenRaw, {
+            strategy: options.strategy,
+            limit: CANDIDATE_LIMIT
+        });
+        if (!full.success) return full;
+        if (!full.options.length) throw new Error('No routes found for this transfer');
+
+        // null when neither the route nor the token lookup has a USD price ("Unknown (Fallback)")
+        const fallbackUsd = parseFloat(fromAtomicUnits(totalAtomic, token.decimals)) * parseFloat(token.priceUSD);
+        const totalUsd = full.options[0].exposure?.transfer_usd ?? (Number.isFinite(fallbackUsd) ? fallbackUsd : null);
+        const baseline = full.options.find(o => meetsVerdict(o.securityVerdict, minVerdict)) || null;
+
+        let candidates = [];
+        for (const o of full.options) {
+            if (candidates.some(c => c.bridge === o.bridge)) continue;
+            candidates.push({ bridge: o.bridge, maxSafeUsd: o.exposure?.max_safe_transfer_usd ?? null });
+        }
+
+        // --- 2 & 3. Allocate, re-quote at tranche size, drop bridges that fail ---
+        const excluded = [];
+        let tranches = [];
+        for (let round = 0; round < MAX_ROUNDS; round++) {
+            const quoted = await Promise.all(allocate(candidates, totalAtomic, totalUsd, { maxBridges, maxShare })
+                .map(t => quoteTranche(t, { fromChain, toChain, fromTokenRaw, toTokenRaw, token, strategy: options.strategy })));
+
+            const failed = quoted.filter(t => !meetsVerdict(t.securityVerdict, minVerdict));
+            tranches = quoted.filter(t => !failed.includes(t));
+            if (!failed.length) break;
+
+            for (const t of failed) {
+                excluded.push({ bridge: t.bridge, reason: t.error || `${t.securityVerdict} (${t.riskScore}) at ${t.amountInHuman}: ${t.securityReason}` });
+            }
+            candidates = candidates.filter(c => !failed.some(t => t.bridge === c.bridge));
+        }
+
+        // --- 4. Totals and comparison with the single-bridge baseline ---
+        const allocated = tranches.reduce((sum, t) => sum + BigInt(t.amountIn), 0n);
+        const amountOut = tranches.reduce((sum, t) => sum + BigInt(t.amountOut), 0n);
+        const netCostUSD = tranches.reduce((sum, t) => sum + t.netCostUSD, 0);
+        // Unknown if any tranche has no USD value: a missing price is not a $0 loss
+        const worstCaseLossUSD = tranches.some(t => t.amountUsd === null || t.amountUsd === undefined)
+            ? null
+            : Math.max(0, ...tranches.map(t => t.amountUsd));
+        const unallocated = totalAtomic - allocated;
+
+        const comparison = baseline ? {
+            bridge: baseline.bridge,
+            securityVerdict: baseline.securityVerdict,
+            riskScore: baseline.riskScore,
+            netCostUSD: baseline.netCostUSD,
+            amountOutHuman: baseline.amountOutHuman,
+            worstCaseLossUSD: totalUsd,
+            extraCostUSD: Number((netCostUSD - baseline.netCostUSD).toFixed(4)),
+            worstCaseLossReductionUSD: totalUsd === null || worstCaseLossUSD === null ? null : Number((totalUsd - worstCaseLossUSD).toFixed(2))
+        } : null;
+
+        return {
+            success: true,
+            amountInHuman: formatTokenAmount(totalAtomic.toString(), token.decimals, token.symbol),
+            amountUsd: totalUsd,
+            minVerdict,
+            maxShare,
+            tranches,
+            totals: {
+                amountIn: allocated.toString(),
+                amountOut: amountOut.toString(),
+                amountOutHuman: toToken.success ? formatTokenAmount(amountOut.toString(), toToken.decimals, toToken.symbol) : undefined,
+                netCostUSD: Number(netCostUSD.toFixed(4)),
+                worstCaseLossUSD
+            },
+            unallocated: unallocated > 0n ? formatTokenAmount(unallocated.toString(), token.decimals, token.symbol) : null,
+            excluded,
+            baseline: comparison,
+            warnings: full.warnings || [],
+            summary: summarizePlan({ tranches, netCostUSD, worstCaseLossUSD, unallocated, token, comparison, minVerdict })
+        };
+
+    } catch (e) {
+        return { success: false, error: e.response?.data?.message || e.message };
+    }
+}
+
+// Quote one tranche on its own bridge, at its real size
+async function quoteTranche(tranche, { fromChain, toChain, fromTokenRaw, toTokenRaw, token, strategy }) {
+    const amountHuman = fromAtomicUnits(tranche.atomic.toString(), token.decimals);
+    const res = await getBridgeOptions(fromChain, toChain, fromTokenRaw, amountHuman, toTokenRaw, {
+        strategy,
+        allowBridges: tranche.bridge.split(' + '),
+        limit: CANDIDATE_LIMIT
+    });
+    const option = res.success ? res.options.find(o => o.bridge === tranche.bridge) : null;
+    if (!option) {
+        return { bridge: tranche.bridge, securityVerdict: null, error: res.error || `No route via ${tranche.bridge} for ${amountHuman} ${token.symbol}` };
+    }
+    return {
+        bridge: option.bridge,
+        amountIn: option.amountIn,
+        amountInHuman: option.amountInHuman,
+        amountUsd: option.exposure?.transfer_usd ?? null,
+        amountOut: option.amountOut,
+        amountOutHuman: option.amountOutHuman,
+        netCostUSD: option.netCostUSD,
+        executionDuration: option.executionDuration,
+        riskScore: option.riskScore,
+        securityVerdict: option.securityVerdict,
+        securityReason: option.securityReason,
+        maxSafeTransferUsd: option.exposure?.max_safe_transfer_usd ?? null
+    };
+}
+
+function summarizePlan({ tranches, netCostUSD, worstCaseLossUSD, unallocated, token, comparison, minVerdict }) {
+    if (!tranches.length) return `No bridge can take any part of this transfer at ${minVerdict} or better.`;
+
+    const worstCase = worstCaseLossUSD === null
+        ? 'the most a single exploit could cost is unknown (no USD price for every tranche)'
+        : `a single exploit would cost at most ${formatUsd(worstCaseLossUSD)}`;
+    const parts = [`Split across ${tranches.length} bridge${tranches.length > 1 ? 's' : ''} for ${formatUsd(netCostUSD)} total net cost; ${worstCase}.`];
+    if (comparison) {
+        const cost = comparison.extraCostUSD >= 0
+            ? `${formatUsd(comparison.extraCostUSD)} more`
+            : `${formatUsd(-comparison.extraCostUSD)} less`;
+        parts.push(comparison.worstCaseLossReductionUSD === null
+            ? `Versus everything through ${comparison.bridge}: ${cost}; the worst-case loss reduction is unknown.`
+            : `Versus everything through ${comparison.bridge}: ${cost}, and worst-case loss down from ${formatUsd(comparison.worstCaseLossUSD)} by ${formatUsd(comparison.worstCaseLossReductionUSD)}.`);
+    } else {
+        parts.push(`No single bridge is ${minVerdict} or better for the full amount.`);
+    }
+    if (unallocated > 0n) {
+        parts.push(`${formatTokenAmount(unallocated.toString(), token.decimals, token.symbol)} could not be placed within the exposure caps; add bridges or raise maxShare.`);
+    }
+    return parts.join(' ');
+}
+
+module.exports = { planSplitTransfer };
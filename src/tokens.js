@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- TOKEN REGISTRY ---
+// Token lists in the Uniswap token-list format (https://tokenlists.org). The bundled
+// data/token-list.json covers the major stablecoins and wrapped natives; BRIDGE_TOKEN_LISTS
+// can name more list files (comma-separated), whose entries override bundled ones by address.
+// Every token is tagged with one variant:
+//   canonical  issued on this chain by the asset's issuer (Circle's USDC on Arbitrum)
+//   bridged    minted by a bridge against tokens locked elsewhere (USDC.e, USDbC, Binance-Peg)
+//   wrapped    ERC-20 wrapper around the chain's native coin (WETH, WAVAX)
+const BUNDLED_PATH = path.join(__dirname, '..', 'data', 'token-list.json');
+const VARIANTS = ['canonical', 'bridged', 'wrapped'];
+
+let loaded = null;
+
+// EVM addresses are case-insensitive; others (Solana) are not
+const addressKey = (address) => (address.startsWith('0x') ? address.toLowerCase() : address);
+
+function validateToken(token, file) {
+    const fail = (msg) => { throw new Error(`Invalid token "${token.symbol || token.address || '?'}" in ${file}: ${msg}`); };
+
+    if (!Number.isInteger(token.chainId)) fail('"chainId" must be an integer');
+    if (typeof token.address !== 'string' || !token.address) fail('missing "address"');
+    if (typeof token.symbol !== 'string' || !token.symbol) fail('missing "symbol"');
+    if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 255) fail('"decimals" must be an integer from 0 to 255');
+    if (token.tags && !Array.isArray(token.tags)) fail('"tags" must be an array');
+}
+
+function readTokenList(file) {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!list.name || !Array.isArray(list.tokens)) throw new Error(`Invalid token list ${file}: needs "name" and a "tokens" array`);
+    list.tokens.forEach(token => validateToken(token, file));
+    return list;
+}
+
+function normalize(token, list) {
+    const ext = token.extensions || {};
+    return {
+        chainId: token.chainId,
+        address: token.address,
+        symbol: token.symbol,
+        name: token.name || token.symbol,
+        decimals: token.decimals,
+        variant: VARIANTS.find(v => (token.tags || []).includes(v)) || 'unknown',
+        // The asset this token stands for: USDC for USDC.e, ETH for WETH
+        baseSymbol: ext.canonicalSymbol || ext.wraps || token.symbol,
+        issuer: ext.issuer || null,
+        bridge: ext.bridge || null,
+        originChainId: ext.originChainId ?? null,
+        list: list.name
+    };
+}
+
+function loadTokenRegistry({ reload = false } = {}) {
+    if (loaded && !reload) return loaded;
+
+    const files = [BUNDLED_PATH, ...(process.env.BRIDGE_TOKEN_LISTS || '').split(',').map(f => f.trim()).filter(Boolean).map(f => path.resolve(f))];
+    const byAddress = new Map();
+    for (const file of files) {
+        const list = readTokenList(file);
+        for (const token of list.tokens) {
+            byAddress.set(`${token.chainId}:${addressKey(token.address)}`, normalize(token, list));
+        }
+    }
+    loaded = { byAddress, tokens: [...byAddress.values()] };
+    return loaded;
+}
+
+function findTokenByAddress(chainId, address) {
+    if (!address) return null;
+    return loadTokenRegistry().byAddress.get(`${chainId}:${addressKey(address)}`) || null;
+}
+
+// Symbol lookup prefers the canonical token, so "USDC" on Arbitrum is Circle's, not USDC.e
+function findTokenBySymbol(chainId, symbol) {
+    if (!symbol) return null;
+    const wanted = symbol.toUpperCase();
+    const matches = loadTokenRegistry().tokens.filter(t => t.chainId === Number(chainId) && t.symbol.toUpperCase() === wanted);
+    return matches.find(t => t.variant === 'canonical') || matches[0] || null;
+}
+
+function findToken(chainId, symbolOrAddress) {
+    return findTokenByAddress(chainId, symbolOrAddress) || findTokenBySymbol(chainId, symbolOrAddress);
+}
+
+// Same-asset tokens on one chain, e.g. USDC and USDC.e on Arbitrum
+function tokenVariants(chainId, baseSymbol) {
+    const wanted = baseSymbol.toUpperCase();
+    return loadTokenRegistry().tokens.filter(t => t.chainId === Number(chainId) && t.baseSymbol.toUpperCase() === wanted);
+}
+
+// Warning for receiving a non-canonical token, or null when it's canonical or not listed
+function receivedTokenWarning(chainId, address, chainName = `chain ${chainId}`) {
+    const token = findTokenByAddress(chainId, address);
+    if (!token || token.variant === 'canonical' || token.variant === 'unknown') return null;
+
+    if (token.variant === 'wrapped') {
+        return `You will receive ${token.symbol} on ${chainName}, the wrapped form of ${token.baseSymbol}. Unwrap it if you need native ${token.baseSymbol}.`;
+    }
+    const via = token.bridge ? ` (${token.bridge})` : '';
+    const canonical = tokenVariants(chainId, token.baseSymbol).find(t => t.variant === 'canonical');
+    return canonical
+        ? `You will receive ${token.symbol} on ${chainName}, a bridged ${token.baseSymbol}${via}, not ${canonical.issuer ? `${canonical.issuer}'s ` : ''}native ${canonical.symbol} (${canonical.address}). Many apps only accept the native token, and swapping later costs extra.`
+        : `You will receive ${token.symbol} on ${chainName}, a bridged ${token.baseSymbol}${via}. It is backed by the bridge, not by the issuer.`;
+}
+
+// Variant details attached to tool results
+function describeReceivedToken(chainId, address, chainName) {
+    const token = findTokenByAddress(chainId, address);
+    return {
+        symbol: token?.symbol ?? null,
+        address,
+        variant: token?.variant ?? 'unknown',
+        baseSymbol: token?.baseSymbol ?? null,
+        canonicalAddress: token ? (tokenVariants(chainId, token.baseSymbol).find(t => t.variant === 'canonical')?.address ?? null) : null,
+        warning: receivedTokenWarning(chainId, address, chainName)
+    };
+}
+
+module.exports = { loadTokenRegistry, findToken, findTokenByAddress, findTokenBySymbol, tokenVariants, receivedTokenWarning, describeReceivedToken, VARIANTS };
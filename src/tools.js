@@ -1,94 +1,85 @@
-const axios = require('axios');
-
-const CHAIN_MAP = {
-
-    'eth': 1, 'mainnet': 1, 'ethereum': 1,
-    'arb': 42161, 'arbitrum': 42161,
-    'opt': 10, 'optimism': 10, 'op': 10,
-    'base': 8453,
-    'pol': 137, 'polygon': 137, 'matic': 137,
-    'zksync': 324, 'era': 324,
-    'linea': 59144,
-
-    'bsc': 56, 'bnb': 56, 'binance': 56,
-    'opbnb': 204,
-
-    'ava': 43114, 'avalanche': 43114,
-    'sol': 'sol', 'solana': 'sol'
-};
-
-let allProtocolsCache = null;
-
-
-function normalizeChain(input) {
-    if (!input) return 'eth';
+const source = require('./datasource');
+const { isUpstreamFailure } = require('./upstream');
+const { cached } = require('./cache');
+const { formatDuration, formatUsdMillions } = require('./format');
+const { calculateRiskScore } = require('./risk');
+const { analyzeTvlHistory } = require('./tvlTrend');
+const { getTrustModel, describeTrustModel } = require('./trustModels');
+const { resolveProtocol, matchHacks } = require('./protocols');
+const { toAtomicUnits, fromAtomicUnits, formatTokenAmount } = require('./amounts');
+const { assessExposure, exposureInputs, chainLiquidity, maxSafeSizes } = require('./exposure');
+const { flattenSteps, describeStep, totalSteps, compositeRisk } = require('./routeSteps');
+const { rankOptions, getStrategy, loadRanking, netCostUSD } = require('./ranking');
+const { resolveChain, listChains } = require('./chains');
+const { findToken, findTokenByAddress, describeReceivedToken } = require('./tokens');
+const { resolveParties, decodeTransaction, inspectApproval, transactionWarnings } = require('./transaction');
+
+// Chain name, alias or id -> numeric chain id, via the Li.Fi-backed registry (see chains.js).
+// Unknown names throw a "did you mean" error before any route or token request is made.
+async function normalizeChain(input) {
     if (typeof input === 'number') return input;
-    const key = input.toLowerCase().trim();
-    return CHAIN_MAP[key] || key;
-}
-
-function formatDuration(seconds) {
-    if (!seconds) return "Unknown";
-    const sec = parseInt(seconds);
-    if (sec < 60) return `${sec}s`;
-    const min = Math.floor(sec / 60);
-    if (min < 60) return `${min}m`;
-    const hr = Math.floor(min / 60);
-    const remMin = min % 60;
-    return `${hr}h ${remMin}m`;
+    return (await resolveChain(input)).id;
 }
 
-async function getProtocolSlug(bridgeName) {
-    const searchName = bridgeName.toLowerCase().trim();
-
-    const overrides = {
-        'cbridge': 'celer-network',
-        'amarok': 'connext',
-        'circle': 'cctp'
-    };
-    if (overrides[searchName]) return overrides[searchName];
+// Li.Fi needs a sender to quote; without a configured one this address stands in and the
+// transaction built for it is dropped instead of decoded
+const QUOTE_ONLY_ADDRESS = '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045';
 
-    try {
-        if (!allProtocolsCache) {
-            const res = await axios.get('https://api.llama.fi/protocols', { timeout: 30000 });
-            allProtocolsCache = res.data;
-        }
+// Where a piece of data came from and when, for reports and audits
+const stamp = (endpoint, fetchedAt = source.now()) => ({ endpoint, fetchedAt: new Date(fetchedAt).toISOString() });
 
-        const exact = allProtocolsCache.find(p => p.slug === searchName || p.name.toLowerCase() === searchName);
-        if (exact) return exact.slug;
-        const bestMatch = allProtocolsCache.find(p =>
-            p.slug.includes(searchName) ||
-            p.name.toLowerCase().includes(searchName) ||
-            searchName.includes(p.slug)
-        );
-
-        if (bestMatch) return bestMatch.slug;
-
-        const strippedName = searchName.replace(/v\d+$/i, '');
-        if (strippedName !== searchName) {
-            const strippedMatch = allProtocolsCache.find(p =>
-                p.slug === strippedName ||
-                p.slug.includes(strippedName)
-            );
-            if (strippedMatch) return strippedMatch.slug;
-        }
+// Short reason for a failed upstream call, e.g. "HTTP 429 after 4 attempts"
+function failureReason(e) {
+    const what = e.response?.status ? `HTTP ${e.response.status}` : (e.response?.data?.message || e.message);
+    return e.attempts > 1 ? `${what} after ${e.attempts} attempts` : what;
+}
 
-        return bridgeName;
-    } catch (e) {
-        return overrides[searchName] || searchName;
+// Human amount ("1,000.5", "1k") -> atomic units, using the token's real decimals
+async function resolveAmount(chain, token, humanAmount) {
+    const details = await getTokenDetails(chain, token);
+    if (!details.success) {
+        throw new Error(`Could not resolve ${token} on chain ${chain} to read its decimals: ${details.error}`);
     }
+    return { token: details, amount: toAtomicUnits(humanAmount, details.decimals) };
 }
 
+// The quote's transaction decoded and its approval checked against the sender's allowance
+async function inspectQuoteTransaction(data, { fromChainInfo, toChain, bridge, amount, sender, recipient }) {
+    const transaction = data.transactionRequest
+        ? decodeTransaction(data.transactionRequest, { chainId: fromChainInfo.id, bridge, native: fromChainInfo.nativeToken })
+        : null;
+    const approval = await inspectApproval({
+        chainId: fromChainInfo.id,
+        token: { address: data.action.fromToken.address, symbol: data.action.fromToken.symbol, decimals: data.action.fromToken.decimals },
+        owner: sender,
+        spender: data.estimate.approvalAddress,
+        amount,
+        bridge
+    });
+    return {
+        transaction,
+        approval,
+        checks: transactionWarnings({ transaction, approval, bridge, chainName: fromChainInfo.name, sender, recipient, toChainId: toChain }),
+        degraded: approval.allowanceError ? [{ data: 'allowance', endpoint: 'JSON-RPC eth_call allowance(owner, spender)', reason: approval.allowanceError }] : []
+    };
+}
 
-async function getRoute(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTokenRaw) {
-    const fromChain = normalizeChain(fromChainRaw);
-    const toChain = normalizeChain(toChainRaw);
+// A single signable quote. `options.fromAddress` / `options.toAddress` override the configured
+// BRIDGE_FROM_ADDRESS / BRIDGE_TO_ADDRESS; the transaction and its approval are decoded and checked.
+// With no sender at all the quote is still returned, without `transaction` / `approval`.
+async function getRoute(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTokenRaw, options = {}) {
     const toToken = toTokenRaw || fromTokenRaw;
 
-    let amount = amountRaw;
-
     try {
-        const res = await axios.get('https://li.quest/v1/quote', {
+        const fromChainInfo = await resolveChain(fromChainRaw);
+        const toChainInfo = await resolveChain(toChainRaw);
+        const fromChain = fromChainInfo.id;
+        const toChain = toChainInfo.id;
+        const { sender, recipient } = resolveParties(options, { fromChainType: fromChainInfo.chainType, toChainType: toChainInfo.chainType });
+        const { token: fromToken, amount } = await resolveAmount(fromChain, fromTokenRaw, amountRaw);
+        const toChainName = toChainInfo.name;
+
+        const res = await source.get('https://li.quest/v1/quote', {
             timeout: 10000,
             params: {
                 fromChain,
@@ -96,7 +87,8 @@ async function getRoute(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTok
                 fromToken: fromTokenRaw,
                 toToken: toToken,
                 fromAmount: amount,
-                fromAddress: '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045'
+                fromAddress: sender || QUOTE_ONLY_ADDRESS,
+                toAddress: recipient || QUOTE_ONLY_ADDRESS
             }
         });
 
@@ -123,10 +115,23 @@ async function getRoute(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTok
 
         const aggregatorFeeUSD = aggregatorFees.reduce((sum, f) => sum + parseFloat(f.amountUSD || 0), 0);
         const protocolFeeUSD = protocolFees.reduce((sum, f) => sum + parseFloat(f.amountUSD || 0), 0);
+        const receivedToken = describeReceivedToken(toChain, data.action.toToken.address, toChainName);
+
+        // --- What would be signed ---
+        const bridge = data.toolDetails.key;
+        const inspection = sender
+            ? await inspectQuoteTransaction(data, { fromChainInfo, toChain, bridge, amount, sender, recipient })
+            : {
+                transaction: null,
+                approval: null,
+                checks: ['No sender address is configured, so the transaction and token approval were not checked. Pass --from-address (fromAddress) or set BRIDGE_FROM_ADDRESS to get a transaction you could sign.'],
+                degraded: [{ data: 'transaction', endpoint: 'GET https://li.quest/v1/quote', reason: 'no sender address configured' }]
+            };
+        const { transaction, approval, checks } = inspection;
 
         return {
             success: true,
-            bridgeName: data.toolDetails.key,
+            bridgeName: bridge,
             estimatedTime: formatDuration(data.estimate.executionDuration),
             gasCostUSD: totalGasUSD.toFixed(4),
             protocolFeeUSD: protocolFeeUSD.toFixed(4),
@@ -135,7 +140,16 @@ async function getRoute(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTok
             gasDetails: gas,
             tokenAddress: data.action.fromToken.address,
             amountOut: data.estimate.toAmount,
-            amountIn: amount
+            amountOutHuman: formatTokenAmount(data.estimate.toAmount, data.action.toToken.decimals, data.action.toToken.symbol),
+            amountIn: amount,
+            amountInHuman: formatTokenAmount(amount, fromToken.decimals, fromToken.symbol),
+            receivedToken,
+            sender,
+            recipient,
+            transaction,
+            approval,
+            warnings: [...(receivedToken.warning ? [receivedToken.warning] : []), ...checks],
+            degraded: [...fromToken.degraded, ...inspection.degraded]
         };
 
     } catch (e) {
@@ -146,72 +160,194 @@ async function getRoute(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTok
     }
 }
 
-async function getBridgeOptions(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTokenRaw) {
-    const fromChain = normalizeChain(fromChainRaw);
-    const toChain = normalizeChain(toChainRaw);
-    let amount = amountRaw;
+// Registry record for a chain id, or null for one the registry doesn't know
+async function registeredChain(chainId) {
+    if (chainId === undefined || chainId === null) return null;
+    try {
+        return await resolveChain(chainId);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Liquidity per chain is part of the TVL response, so a failed TVL fetch is already reported
+function exposureDegraded(step, stats) {
+    const missing = step.exposure?.unverified_chains || [];
+    if (!missing.length || (stats.degraded || []).some(d => d.data === 'tvl')) return [];
+    return [{
+        bridge: step.tool,
+        data: 'exposure',
+        endpoint: stats.data_freshness?.tvl?.endpoint || null,
+        reason: `no DefiLlama liquidity figure for ${missing.join(' and ')}`
+    }];
+}
+
+// data_freshness entries -> flat source list for one bridge
+function securitySources(bridge, stats) {
+    const entries = Object.entries(stats.data_freshness || {}).map(([data, f]) => ({
+        bridge,
+        data,
+        endpoint: f?.endpoint ?? null,
+        fetchedAt: f?.fetchedAt ?? null,
+        stale: f?.stale ?? null,
+        available: Boolean(f)
+    }));
+    if (stats.trust_model?.dataset) {
+        entries.push({
+            bridge,
+            data: 'trust_model',
+            endpoint: `data/bridge-trust-models.json (version ${stats.trust_model.dataset.version})`,
+            fetchedAt: null,
+            stale: null,
+            available: true
+        });
+    }
+    return entries;
+}
+
+// The hop with the smallest safe size limits the whole route
+function tightestExposure(exposures) {
+    const known = exposures.filter(e => e.max_safe_transfer_usd !== null);
+    return known.sort((a, b) => a.max_safe_transfer_usd - b.max_safe_transfer_usd)[0] || exposures[0] || null;
+}
 
+// `options.strategy` picks the ranking (see ranking.js); `options.limit` how many ranked routes to return;
+// `options.allowBridges` restricts Li.Fi to those bridge keys (used to re-quote a tranche on one bridge)
+async function getBridgeOptions(fromChainRaw, toChainRaw, fromTokenRaw, amountRaw, toTokenRaw, options = {}) {
     try {
+        const fromChain = await normalizeChain(fromChainRaw);
+        const toChain = await normalizeChain(toChainRaw);
+        const strategy = getStrategy(options.strategy);
+        const ranking = loadRanking();
+
         // --- 1. Robust Token Resolution ---
         // Use the shared helper to get address + decimals
-        // This handles "USDT" on Arb vs Opt correctly via the fallback list
-        let fromTokenAddr = fromTokenRaw;
-
-        if (!fromTokenAddr.startsWith('0x')) {
-            const tokenDetails = await getTokenDetails(fromChain, fromTokenRaw);
-            if (tokenDetails.success) {
-                fromTokenAddr = tokenDetails.address;
-            }
-        }
+        // This handles "USDT" on Arb vs Opt correctly via the token-list fallback,
+        // and the decimals turn the human amount into atomic units.
+        const { token: fromToken, amount } = await resolveAmount(fromChain, fromTokenRaw, amountRaw);
+        const fromTokenAddr = fromToken.address;
 
         let toTokenAddr = toTokenRaw || fromTokenRaw;
+        let toTokenSource = null;
+        let toTokenDegraded = [];
         // For 'toToken', if it's a symbol, we accept it might resolve on the other side.
         // But Li.Fi advanced routes usually prefer addresses.
         if (!toTokenAddr.startsWith('0x')) {
             const tokenDetails = await getTokenDetails(toChain, toTokenAddr);
             if (tokenDetails.success) {
                 toTokenAddr = tokenDetails.address;
+                toTokenSource = tokenDetails.source;
+                toTokenDegraded = tokenDetails.degraded;
             }
         }
 
         // --- 2. Fetch Routes ---
+        // More candidates than we show, so our own ranking has something to choose from
         const params = {
-            fromChainId: CHAIN_MAP[fromChain] || fromChain,
-            toChainId: CHAIN_MAP[toChain] || toChain,
+            fromChainId: fromChain,
+            toChainId: toChain,
             fromTokenAddress: fromTokenAddr,
             toTokenAddress: toTokenAddr,
             fromAmount: amount,
-            options: { order: 'RECOMMENDED', limit: 3 }
+            options: {
+                order: strategy.lifiOrder || 'RECOMMENDED',
+                limit: ranking.candidates || 8,
+                ...(options.allowBridges ? { bridges: { allow: options.allowBridges } } : {})
+            }
         };
 
-        const res = await axios.post('https://li.quest/v1/advanced/routes', params, { timeout: 15000 });
-
-        const routes = await Promise.all(res.data.routes.map(async (r) => {
-            const bridgeKey = r.steps[0].toolDetails.key;
+        const res = await source.post('https://li.quest/v1/advanced/routes', params, { timeout: 15000 });
+        const routesSource = stamp('POST https://li.quest/v1/advanced/routes');
 
-            const security = await getSecurityStats(bridgeKey);
-            const risk = calculateRiskScore(security);
+        // Transfer size in USD, for the liquidity exposure check
+        const fallbackUsd = parseFloat(fromAtomicUnits(amount, fromToken.decimals)) * parseFloat(fromToken.priceUSD);
 
-            const fees = (r.steps[0].estimate.feeCosts || []);
-            const aggUSD = fees.filter(f => f.name.includes('LIFI')).reduce((sum, f) => sum + parseFloat(f.amountUSD || 0), 0);
-            const protUSD = fees.filter(f => !f.name.includes('LIFI')).reduce((sum, f) => sum + parseFloat(f.amountUSD || 0), 0);
+        const routes = await Promise.all(res.data.routes.map(async (r) => {
+            // --- 3. Per-step analysis ---
+            // Every hop is broken down; each bridge hop gets its own security check
+            const steps = flattenSteps(r).map(describeStep);
+            const bridgeHops = steps.filter(s => s.isBridge);
+            const checked = bridgeHops.length ? bridgeHops : steps.slice(0, 1);
+            const transferUsd = parseFloat(r.fromAmountUSD) || fallbackUsd;
+
+            const assessed = await Promise.all(checked.map(async (step) => {
+                const security = await getSecurityStats(step.tool);
+                const exposure = assessExposure({
+                    transferUsd,
+                    chainTvls: security.chain_tvls,
+                    fromChain: await registeredChain(step.fromChainId ?? r.fromChainId),
+                    toChain: await registeredChain(step.toChainId ?? r.toChainId)
+                });
+                const risk = calculateRiskScore(security, { inputs: exposureInputs(exposure) });
+                step.riskScore = risk.score;
+                step.securityVerdict = risk.verdict;
+                step.exposure = exposure;
+                return { step, security, risk };
+            }));
+            const composite = compositeRisk(assessed);
+            const { security, risk } = composite.weakest;
+            const totals = totalSteps(r);
 
             return {
-                bridge: bridgeKey,
+                bridge: checked.map(s => s.tool).join(' + '),
+                amountIn: r.fromAmount,
+                amountInHuman: formatTokenAmount(r.fromAmount, r.fromToken?.decimals ?? fromToken.decimals, r.fromToken?.symbol ?? fromToken.symbol),
                 amountOut: r.toAmount,
-                gasCostUSD: r.gasCostUSD,
-                protocolFeeUSD: protUSD.toFixed(4),
-                aggregatorFeeUSD: aggUSD.toFixed(4),
-                executionDuration: formatDuration(r.steps[0].estimate.executionDuration),
-                riskScore: risk.score,
-                securityVerdict: risk.verdict,
-                securityReason: risk.explanation,
+                amountOutHuman: formatTokenAmount(r.toAmount, r.toToken?.decimals, r.toToken?.symbol),
+                gasCostUSD: totals.gasCostUSD,
+                protocolFeeUSD: totals.protocolFeeUSD,
+                aggregatorFeeUSD: totals.aggregatorFeeUSD,
+                netCostUSD: Number(netCostUSD(r, totals).toFixed(4)),
+                executionDuration: totals.executionDuration,
+                executionDurationSeconds: totals.executionDurationSeconds,
+                riskScore: composite.score,
+                securityVerdict: composite.verdict,
+                securityReason: composite.explanation,
+                riskBreakdown: risk.breakdown,
+                securityDataFreshness: risk.dataFreshness,
                 tvl: security.tvl,
-                feeDetails: fees
+                tvlTrend: security.tvl_trend,
+                exposure: tightestExposure(assessed.map(a => a.step.exposure)),
+                trustModel: security.trust_summary,
+                protocolMatch: security.protocol_match,
+                weakestStep: composite.weakest.step.index,
+                steps,
+                feeDetails: totals.feeDetails,
+                riskPolicy: risk.policy,
+                // Security data behind every checked hop, with endpoint and fetch time
+                dataSources: assessed.flatMap(({ step, security: stats }) => securitySources(step.tool, stats)),
+                degraded: assessed.flatMap(({ step, security: stats }) => [
+                    ...(stats.degraded || []).map(d => ({ bridge: step.tool, ...d })),
+                    ...exposureDegraded(step, stats)
+                ])
             };
         }));
 
-        return { success: true, options: routes };
+        // --- 4. Rank by our own cost / speed / risk formula ---
+        const { ranked, explanation } = rankOptions(routes, strategy.name);
+        const limit = options.limit || ranking.show || 3;
+        const shown = ranked.slice(0, limit);
+
+        // Every route ends in the requested token, so one bridged/wrapped check covers them all
+        const toChainName = (await resolveChain(toChain)).name;
+        const receivedToken = describeReceivedToken(toChain, res.data.routes[0]?.toToken?.address || toTokenAddr, toChainName);
+
+        return {
+            success: true,
+            strategy: strategy.name,
+            candidates: routes.length,
+            rankingExplanation: explanation,
+            receivedToken,
+            warnings: receivedToken.warning ? [receivedToken.warning] : [],
+            sources: {
+                routes: routesSource,
+                fromToken: fromToken.source || null,
+                toToken: toTokenSource
+            },
+            // Everything that had to be done without: token lookups plus each shown route's security data
+            degraded: [...fromToken.degraded, ...toTokenDegraded, ...shown.flatMap(o => o.degraded)],
+            options: shown
+        };
 
     } catch (e) {
         return { success: false, error: e.response?.data?.message || e.message };
@@ -220,7 +356,7 @@ async function getBridgeOptions(fromChainRaw, toChainRaw, fromTokenRaw, amountRa
 
 async function getSupportedBridges() {
     try {
-        const res = await axios.get('https://li.quest/v1/tools', { timeout: 10000 });
+        const res = await source.get('https://li.quest/v1/tools', { timeout: 10000 });
         const bridges = res.data.bridges.map(b => b.name);
         return {
             success: true,
@@ -233,17 +369,43 @@ async function getSupportedBridges() {
 }
 
 
+async function getSupportedChains() {
+    try {
+        const chains = (await listChains()).map(c => ({
+            id: c.id,
+            key: c.key,
+            name: c.name,
+            chainType: c.chainType,
+            nativeToken: c.nativeToken,
+            l2: c.l2,
+            aliases: c.aliases
+        }));
+        return { success: true, total: chains.length, chains };
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+}
+
 async function getSecurityStats(bridgeName) {
-    const slug = await getProtocolSlug(bridgeName);
+    const match = await resolveProtocol(bridgeName);
+    const slug = match.slug;
 
 
     try {
         const [tvlRes, hacksRes] = await Promise.allSettled([
-            axios.get(`https://api.llama.fi/protocol/${slug}`, { timeout: 10000 }),
-            axios.get('https://api.llama.fi/hacks', { timeout: 10000 })
+            cached('protocol', `llama:protocol:${slug}`, async () => {
+                const res = await source.get(`https://api.llama.fi/protocol/${slug}`, { timeout: 10000 });
+                return res.data;
+            }),
+            cached('hacks', 'llama:hacks', async () => {
+                const res = await source.get('https://api.llama.fi/hacks', { timeout: 10000 });
+                return res.data;
+            })
         ]);
 
-        let tvl = "N/A";
+        let tvlUsd = null;
+        let tvlTrend = null;
+        let chainTvls = null;
         let hacks = [];
 
         if (tvlRes.status === 'fulfilled' && tvlRes.value.data.tvl) {
@@ -253,34 +415,85 @@ async function getSecurityStats(bridgeName) {
                 : tvlRes.value.data.currentChainTvls
                     ? Object.values(tvlRes.value.data.currentChainTvls).reduce((a, b) => a + b, 0)
                     : 0;
-            tvl = rawTvl > 0 ? `$${(rawTvl / 1_000_000).toFixed(2)}M` : "N/A";
+            tvlUsd = rawTvl > 0 ? rawTvl : null;
+            tvlTrend = analyzeTvlHistory(tvlRes.value.data.tvl);
+            chainTvls = chainLiquidity(tvlRes.value.data.currentChainTvls);
         }
 
         if (hacksRes.status === 'fulfilled') {
-            hacks = hacksRes.value.data.filter(h => h.name.toLowerCase().includes(slug));
+            hacks = matchHacks(hacksRes.value.data, match);
         }
 
+        // Data we needed but couldn't get. The risk engine reads these as "unverified", never as "no hacks"
+        // or "no TVL". A 404 for the protocol is an answer (DefiLlama doesn't list it), not a failure.
+        const degraded = [];
+        if (match.error) degraded.push({ data: 'protocol_match', endpoint: 'GET https://api.llama.fi/protocols', reason: match.error });
+        if (tvlRes.status === 'rejected' && isUpstreamFailure(tvlRes.reason)) {
+            degraded.push({ data: 'tvl', endpoint: `GET https://api.llama.fi/protocol/${slug}`, reason: failureReason(tvlRes.reason) });
+        }
+        if (hacksRes.status === 'rejected') {
+            degraded.push({ data: 'hacks', endpoint: 'GET https://api.llama.fi/hacks', reason: failureReason(hacksRes.reason) });
+        }
+
+        // Bundled L2Beat data is keyed by the Li.Fi tool key; fall back to the DefiLlama slug
+        const trustModel = getTrustModel(match.trustModel) || getTrustModel(bridgeName) || getTrustModel(slug);
+
+        // How old the security data is, so the verdict can be read in context
+        const freshness = (res, endpoint) => res.status === 'fulfilled'
+            ? { endpoint, fetchedAt: res.value.fetchedAt, ageSeconds: res.value.ageSeconds, stale: res.value.stale }
+            : null;
+
         // Filter only recent hacks (last 2 years) for relevance
-        const recentHacks = hacks.filter(h => h.date > (Date.now() / 1000 - 63072000));
+        const recentHacks = hacks.filter(h => h.date > (source.now() / 1000 - 63072000));
 
         return {
             bridge: bridgeName,
-            tvl,
-            recent_hack_count: recentHacks.length,
+            protocol_match: {
+                slug: match.slug,
+                parent: match.parent,
+                method: match.method,
+                confidence: match.confidence,
+                source: match.source
+            },
+            tvl: formatUsdMillions(tvlUsd),
+            tvl_usd: tvlUsd,
+            tvl_trend: tvlTrend,
+            chain_tvls: chainTvls,
+            max_safe_transfer_usd: chainTvls ? maxSafeSizes(chainTvls) : null,
+            recent_hack_count: hacksRes.status === 'fulfilled' ? recentHacks.length : null,
             hack_details: recentHacks.map(h => `${h.date}: ${h.classification} ($${h.amount} lost)`),
-            audit_status: "Check L2Beat for details" // L2Beat API requires more complex scraping
+            trust_model: trustModel,
+            trust_summary: describeTrustModel(trustModel),
+            data_freshness: {
+                tvl: freshness(tvlRes, `GET https://api.llama.fi/protocol/${slug}`),
+                hacks: freshness(hacksRes, 'GET https://api.llama.fi/hacks')
+            },
+            degraded
         };
 
     } catch (error) {
-        return { bridge: bridgeName, error: "Security data unavailable" };
+        return {
+            bridge: bridgeName,
+            error: "Security data unavailable",
+            tvl: formatUsdMillions(null),
+            tvl_usd: null,
+            recent_hack_count: null,
+            degraded: [{ data: 'security', endpoint: null, reason: error.message }]
+        };
     }
 }
 
-// 3. Get Token Details (Dynamic Discovery with Fallback)
+// 3. Get Token Details (Li.Fi lookup, token-list registry as fallback)
 async function getTokenDetails(chainRaw, tokenSymbol) {
-    const chain = normalizeChain(chainRaw);
+    let chain;
     try {
-        const res = await axios.get('https://li.quest/v1/token', {
+        chain = await normalizeChain(chainRaw);
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+
+    try {
+        const res = await source.get('https://li.quest/v1/token', {
             timeout: 10000,
             params: { chain, token: tokenSymbol }
         });
@@ -290,32 +503,29 @@ async function getTokenDetails(chainRaw, tokenSymbol) {
             address: res.data.address,
             decimals: res.data.decimals,
             chainId: res.data.chainId,
-            priceUSD: res.data.priceUSD
+            priceUSD: res.data.priceUSD,
+            variant: findTokenByAddress(res.data.chainId, res.data.address)?.variant || 'unknown',
+            source: stamp('GET https://li.quest/v1/token'),
+            degraded: []
         };
     } catch (e) {
-        // Fallback for tricky tokens where API fails by symbol
-        // (Li.Fi sometimes expects 'USDT.e' or 'bridged-usdt' but user says 'USDT')
-        const FALLBACK_TOKENS = {
-            // Arbitrum (42161)
-            42161: {
-                'USDT': { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', decimals: 6 },
-                'USDC': { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 }
-            },
-            // Optimism (10)
-            10: {
-                'USDT': { address: '0x94b008aA00579c1307B0EF2c499a98a359659952', decimals: 6 }
-            }
-        };
-
-        const fallback = FALLBACK_TOKENS[chain]?.[tokenSymbol.toUpperCase()];
-        if (fallback) {
+        // Li.Fi sometimes fails by symbol (it may expect 'USDT.e' or 'bridged-usdt' when the user says 'USDT');
+        // the token lists know the address and decimals, preferring the canonical token
+        const listed = findToken(chain, tokenSymbol);
+        if (listed) {
             return {
                 success: true,
-                symbol: tokenSymbol.toUpperCase(),
-                address: fallback.address,
-                decimals: fallback.decimals,
+                symbol: listed.symbol,
+                address: listed.address,
+                decimals: listed.decimals,
                 chainId: chain,
-                priceUSD: "Unknown (Fallback)"
+                priceUSD: "Unknown (Fallback)",
+                variant: listed.variant,
+                source: { endpoint: `token list "${listed.list}"`, fetchedAt: null },
+                // Li.Fi being down (not merely not knowing the symbol) means no live price
+                degraded: isUpstreamFailure(e)
+                    ? [{ data: 'token', endpoint: 'GET https://li.quest/v1/token', reason: failureReason(e) }]
+                    : []
             };
         }
 
@@ -323,41 +533,4 @@ async function getTokenDetails(chainRaw, tokenSymbol) {
     }
 }
 
-// 4. Deterministic Risk Scoring
-function calculateRiskScore(securityStats) {
-    let score = 100;
-    const rules = [];
-
-    if (securityStats.recent_hack_count > 0) {
-        score = 0;
-        rules.push("CRITICAL: Protocol was hacked recently.");
-        return {
-            score: 0,
-            verdict: "DANGER",
-            explanation: `DANGER: Protocol has ${securityStats.recent_hack_count} recent hacks. Immediate risk.`
-        };
-    }
-
-    if (securityStats.tvl === "Unknown" || securityStats.tvl === "N/A") {
-        score -= 30;
-        rules.push("Penalty: TVL data unavailable (-30)");
-    } else {
-        const tvlNum = parseFloat(securityStats.tvl.replace(/[^0-9.]/g, ''));
-        if (tvlNum < 10) {
-            score -= 20;
-            rules.push(`Caution: Low TVL (${securityStats.tvl} < $10M) (-20)`);
-        }
-    }
-
-    let verdict = "SECURE";
-    if (score < 40) verdict = "DANGER";
-    else if (score < 80) verdict = "CAUTION";
-
-    return {
-        score,
-        verdict,
-        explanation: rules.length > 0 ? rules.join("; ") : "Standard security checks passed."
-    };
-}
-
-module.exports = { getRoute, getBridgeOptions, getSecurityStats, calculateRiskScore, getTokenDetails, getSupportedBridges };
\ No newline at end of file
+module.exports = { getRoute, getBridgeOptions, getSecurityStats, calculateRiskScore, getTokenDetails, getSupportedBridges, getSupportedChains, normalizeChain, stamp, failureReason };
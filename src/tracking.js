@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const source = require('./datasource');
+const { isUpstreamFailure } = require('./upstream');
+const { formatDuration } = require('./format');
+const { formatTokenAmount } = require('./amounts');
+const { totalSteps } = require('./routeSteps');
+const { getTokenDetails, normalizeChain, stamp, failureReason } = require('./tools');
+const { trackSchema } = require('./schemas');
+
+// --- TRANSFER TRACKING ---
+// Where a submitted bridge transfer is, from Li.Fi's status endpoint (GET /v1/status).
+// Li.Fi's status / substatus pair is reduced to one stage:
+//   pending     not indexed yet, waiting for source confirmations or for the destination transaction
+//   done        delivered (also a partial delivery in another token, or a completed refund)
+//   refundable  failed on the way and the funds are being or must be refunded
+//   failed      anything else that ended without delivery
+// Set BRIDGE_STATUS_STANDIN to a JSON file of status responses to track transfers without Li.Fi (see readme).
+const STATUS_URL = 'https://li.quest/v1/status';
+
+// A pending transfer is overdue once it has taken DELAY_FACTOR times its estimate,
+// and at least DELAY_GRACE_SECONDS longer, so a 1 minute estimate doesn't alert at 2 minutes
+const DELAY_FACTOR = 2;
+const DELAY_GRACE_SECONDS = 600;
+
+function transferStage(status, substatus) {
+    if (status === 'DONE') return 'done';
+    if (status === 'FAILED') return substatus === 'NOT_PROCESSABLE_REFUND_NEEDED' ? 'refundable' : 'failed';
+    if (status === 'PENDING') return substatus === 'REFUND_IN_PROGRESS' ? 'refundable' : 'pending';
+    if (status === 'NOT_FOUND') return 'pending';
+    return null;
+}
+
+// Used when Li.Fi sends no substatusMessage
+const SUBSTATUS_MESSAGES = {
+    NOT_FOUND: 'Li.Fi has not indexed this transaction yet. Give it a few minutes after the source transaction is mined.',
+    WAIT_SOURCE_CONFIRMATIONS: 'Waiting for the source chain transaction to be confirmed.',
+    WAIT_DESTINATION_TRANSACTION: 'Waiting for the bridge to send the destination chain transaction.',
+    BRIDGE_NOT_AVAILABLE: 'The bridge API is not answering; the status will update once it is back.',
+    CHAIN_NOT_AVAILABLE: 'An RPC for the source or destination chain is not answering.',
+    REFUND_IN_PROGRESS: 'The transfer could not be completed and the refund is in progress.',
+    COMPLETED: 'Delivered as requested.',
+    PARTIAL: 'Delivered, but in a different token than requested.',
+    REFUNDED: 'Refunded to the sender.',
+    NOT_PROCESSABLE_REFUND_NEEDED: 'The bridge cannot process this transfer; a refund has to be claimed.',
+    OUT_OF_GAS: 'The transaction ran out of gas.',
+    SLIPPAGE_EXCEEDED: 'The price moved past the slippage limit.',
+    INSUFFICIENT_ALLOWANCE: 'The token allowance was too low.',
+    INSUFFICIENT_BALANCE: 'The sender balance was too low.',
+    EXPIRED: 'The transfer expired before it was executed.',
+    UNKNOWN_ERROR: 'The transfer failed for an unknown reason.'
+};
+
+// --- LOCAL STAND-IN ---
+// { "transfers": [ <Li.Fi status response>, ... ] }, matched on the sending or receiving tx hash.
+// A negative timestamp means that many seconds before now, so a fixture can stay "in flight".
+function standInStatus(file, txHash) {
+    const { transfers = [] } = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    const wanted = txHash.toLowerCase();
+    const match = transfers.find(t => [t.sending?.txHash, t.receiving?.txHash].some(h => h && h.toLowerCase() === wanted));
+    if (!match) return { status: 'NOT_FOUND', substatus: 'NOT_FOUND' };
+
+    const nowSeconds = Math.floor(source.now() / 1000);
+    const at = (side) => side && side.timestamp < 0 ? { ...side, timestamp: nowSeconds + side.timestamp } : side;
+    return { ...match, sending: at(match.sending), receiving: at(match.receiving) };
+}
+
+async function fetchStatus(params) {
+    if (process.env.BRIDGE_STATUS_STANDIN) {
+        return { data: standInStatus(process.env.BRIDGE_STATUS_STANDIN, params.txHash), endpoint: `stand-in ${process.env.BRIDGE_STATUS_STANDIN}` };
+    }
+    try {
+        const res = await source.get(STATUS_URL, { params, timeout: 10000 });
+        return { data: res.data, endpoint: `GET ${STATUS_URL}` };
+    } catch (e) {
+        // Li.Fi answers 404 for hashes it hasn't seen (yet)
+        if (e.response?.status === 404) return { data: { status: 'NOT_FOUND', substatus: 'NOT_FOUND' }, endpoint: `GET ${STATUS_URL}` };
+        if (isUpstreamFailure(e)) throw new Error(`Transfer status unavailable: ${failureReason(e)}`);
+        throw e;
+    }
+}
+
+// Li.Fi's own duration estimate for the same transfer over the same bridge, asked for again now
+async function estimateDuration(status) {
+    const { sending, receiving, tool } = status;
+    const toChain = receiving?.chainId;
+    if (!sending?.token || !sending.amount || !toChain || !tool) return null;
+
+    let toTokenAddress = receiving.token?.address;
+    if (!toTokenAddress) {
+        const token = await getTokenDetails(toChain, sending.token.symbol);
+        if (!token.success) throw new Error(`Could not resolve ${sending.token.symbol} on chain ${toChain}: ${token.error}`);
+        toTokenAddress = token.address;
+    }
+
+    const res = await source.post('https://li.quest/v1/advanced/routes', {
+        fromChainId: sending.chainId,
+        toChainId: toChain,
+        fromTokenAddress: sending.token.address,
+        toTokenAddress,
+        fromAmount: sending.amount,
+        options: { limit: 1, bridges: { allow: [tool] } }
+    }, { timeout: 15000 });
+
+    const route = res.data.routes?.[0];
+    return route ? totalSteps(route).executionDurationSeconds || null : null;
+}
+
+function describeSide(side) {
+    if (!side?.txHash) return null;
+    return {
+        txHash: side.txHash,
+        txLink: side.txLink || null,
+        chainId: side.chainId,
+        amountHuman: side.amount && side.token ? formatTokenAmount(side.amount, side.token.decimals, side.token.symbol) : null,
+        timestamp: side.timestamp ? new Date(side.timestamp * 1000).toISOString() : null
+    };
+}
+
+/**
+ * Status of a submitted transfer, by its source transaction hash.
+ * `options.bridge`, `fromChain` and `toChain` narrow Li.Fi's lookup; `expectedSeconds` replaces the
+ * duration estimate, which is otherwise re-quoted for the same transfer over the same bridge.
+ */
+async function trackTransfer(txHash, options = {}) {
+    const checked = trackSchema.shape.txHash.safeParse(txHash);
+    if (!checked.success) return { success: false, error: `${checked.error.issues[0].message}, got "${txHash}"` };
+
+    try {
+        const fromChain = options.fromChain ? await normalizeChain(options.fromChain) : undefined;
+        const toChain = options.toChain ? await normalizeChain(options.toChain) : undefined;
+        const { data, endpoint } = await fetchStatus({ txHash, bridge: options.bridge, fromChain, toChain });
+        const fetched = stamp(endpoint);
+
+        const stage = transferStage(data.status, data.substatus);
+        if (!stage) {
+            return { success: false, error: `Li.Fi cannot track ${txHash} (status ${data.status}): ${data.substatusMessage || 'not a transfer it recognises'}` };
+        }
+
+        const sending = describeSide(data.sending);
+        const receiving = describeSide(data.receiving);
+        const bridge = data.tool || options.bridge || null;
+        const warnings = [];
+        const degraded = [];
+
+        // --- Elapsed vs. expected ---
+        const sentAt = data.sending?.timestamp;
+        const endedAt = stage === 'done' ? data.receiving?.timestamp : null;
+        const elapsedSeconds = sentAt ? Math.max(0, (endedAt || Math.floor(source.now() / 1000)) - sentAt) : null;
+
+        let expectedSeconds = options.expectedSeconds || null;
+        let expectedSource = expectedSeconds ? 'given' : null;
+        if (!expectedSeconds && (stage === 'pending' || stage === 'done')) {
+            try {
+                expectedSeconds = await estimateDuration(data);
+                if (expectedSeconds) expectedSource = 'quote';
+            } catch (e) {
+                degraded.push({ data: 'estimate', endpoint: 'POST https://li.quest/v1/advanced/routes', reason: failureReason(e) });
+            }
+        }
+
+        const overdue = stage === 'pending' && elapsedSeconds !== null && expectedSeconds !== null
+            && elapsedSeconds > Math.max(expectedSeconds * DELAY_FACTOR, expectedSeconds + DELAY_GRACE_SECONDS);
+
+        if (overdue) {
+            warnings.push(`Pending for ${formatDuration(elapsedSeconds)}, far longer than the ${formatDuration(expectedSeconds)} expected for ${bridge || 'this bridge'}. ` +
+                `Check ${data.lifiExplorerLink || data.bridgeExplorerLink || "the bridge's explorer"} before doing anything; do not send the transfer again.`);
+        }
+        if (stage === 'refundable') {
+            warnings.push(`The transfer did not complete and its funds are due back to ${data.fromAddress || 'the sender'}: ${data.substatusMessage || SUBSTATUS_MESSAGES[data.substatus] || data.substatus}`);
+        }
+        if (data.substatus === 'REFUNDED') {
+            warnings.push(`Nothing was delivered: the funds were refunded to ${data.fromAddress || 'the sender'}.`);
+        }
+        if (data.substatus === 'PARTIAL') {
+            warnings.push(`Delivered as ${receiving?.amountHuman || 'a different token'} instead of the requested token.`);
+        }
+
+        return {
+            success: true,
+            txHash,
+            stage,
+            status: data.status,
+            substatus: data.substatus || null,
+            message: data.substatusMessage || SUBSTATUS_MESSAGES[data.substatus] || null,
+            bridge,
+            fromChainId: data.sending?.chainId ?? fromChain ?? null,
+            toChainId: data.receiving?.chainId ?? toChain ?? null,
+            sending,
+            receiving,
+            destinationTxHash: receiving?.txHash || null,
+            elapsedSeconds,
+            elapsed: elapsedSeconds === null ? 'Unknown' : formatDuration(elapsedSeconds),
+            expectedSeconds,
+            expected: expectedSeconds ? formatDuration(expectedSeconds) : 'Unknown',
+            expectedSource,
+            overdue,
+            explorerLink: data.lifiExplorerLink || data.bridgeExplorerLink || null,
+            warnings,
+            degraded,
+            source: fetched
+        };
+    } catch (e) {
+        return {
+            success: false,
+            error: e.response?.data?.message || e.message
+        };
+    }
+}
+
+module.exports = { trackTransfer, transferStage, DELAY_FACTOR, DELAY_GRACE_SECONDS };
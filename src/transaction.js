@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const { formatTokenAmount } = require('./amounts');
+const { getAllowance } = require('./rpc');
+
+// --- TRANSACTION INSPECTION ---
+// What the user would actually sign for a quote: Li.Fi's unsigned transactionRequest decoded into
+// contract, method, value and the bridge parameters it carries, plus the token approval it needs.
+// Transaction targets and approval spenders are checked against data/known-contracts.json
+// (override with BRIDGE_KNOWN_CONTRACTS): a bridge's own contracts or the Li.Fi Diamond on that chain.
+const KNOWN_CONTRACTS_PATH = path.join(__dirname, '..', 'data', 'known-contracts.json');
+const AGGREGATOR = 'lifi';
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const NATIVE_ADDRESSES = ['0x0000000000000000000000000000000000000000', '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee'];
+
+// No real transfer needs 2^128 atomic units; anything at or above it is an "infinite" approval
+// (wallets use 2^256 - 1, some tokens cap at 2^96 or 2^160)
+const UNLIMITED_ALLOWANCE = 1n << 128n;
+
+let known = null;
+
+function loadKnownContracts({ reload = false } = {}) {
+    if (known && !reload) return known;
+
+    const file = path.resolve(process.env.BRIDGE_KNOWN_CONTRACTS || KNOWN_CONTRACTS_PATH);
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data.contracts || typeof data.contracts !== 'object') throw new Error(`Invalid known-contracts file ${file}: needs a "contracts" object`);
+
+    const byAddress = new Map();
+    for (const [bridge, entries] of Object.entries(data.contracts)) {
+        for (const entry of entries) {
+            if (!EVM_ADDRESS.test(entry.address) || !Array.isArray(entry.chainIds)) {
+                throw new Error(`Invalid known contract "${entry.name || entry.address}" for ${bridge} in ${file}: needs an address and chainIds`);
+            }
+            for (const chainId of entry.chainIds) {
+                const key = `${chainId}:${entry.address.toLowerCase()}`;
+                byAddress.set(key, [...(byAddress.get(key) || []), { bridge, name: entry.name }]);
+            }
+        }
+    }
+    known = {
+        version: data.version,
+        byAddress,
+        selectors: Object.fromEntries(Object.entries(data.selectors || {}).map(([sel, sig]) => [sel.toLowerCase(), sig]))
+    };
+    return known;
+}
+
+const isNativeToken = (address) => !address || NATIVE_ADDRESSES.includes(address.toLowerCase());
+
+// Who the contract is, and whether it belongs to `bridge` (or the aggregator) on this chain
+function identifyContract(chainId, address, bridge) {
+    const entries = address ? (loadKnownContracts().byAddress.get(`${chainId}:${address.toLowerCase()}`) || []) : [];
+    const match = entries.find(e => e.bridge === bridge) || entries.find(e => e.bridge === AGGREGATOR) || entries[0];
+    return {
+        address,
+        name: match?.name ?? null,
+        knownFor: entries.map(e => e.bridge),
+        trusted: entries.some(e => e.bridge === bridge || e.bridge === AGGREGATOR)
+    };
+}
+
+// --- SENDER / RECIPIENT ---
+
+// Explicit addresses win over BRIDGE_FROM_ADDRESS / BRIDGE_TO_ADDRESS; the recipient defaults to the sender.
+// Without a sender both may be null: the quote still works, but there is no transaction to inspect.
+function resolveParties({ fromAddress, toAddress } = {}, { fromChainType = 'EVM', toChainType = 'EVM' } = {}) {
+    const sender = fromAddress || process.env.BRIDGE_FROM_ADDRESS || null;
+    const recipient = toAddress || process.env.BRIDGE_TO_ADDRESS || sender;
+
+    for (const [label, value, chainType] of [['sender', sender, fromChainType], ['recipient', recipient, toChainType]]) {
+        if (value && chainType === 'EVM' && !EVM_ADDRESS.test(value)) {
+            throw new Error(`Invalid ${label} address "${value}": expected 0x followed by 40 hex characters`);
+        }
+    }
+    return { sender, recipient };
+}
+
+// --- CALLDATA ---
+
+const strip = (hex) => (hex || '').replace(/^0x/, '').toLowerCase();
+const wordHex = (value) => BigInt(value).toString(16).padStart(64, '0');
+
+// Unsigned ERC-20 approve(spender, amount) calldata
+function encodeApprove(spender, amount) {
+    return `0x095ea7b3${strip(spender).padStart(64, '0')}${wordHex(amount)}`;
+}
+
+// Arguments of a signature with only static types (address, uintN, bool); null for anything else
+function decodeStaticArgs(signature, body) {
+    const types = signature.slice(signature.indexOf('(') + 1, -1).split(',').filter(Boolean);
+    if (!types.every(t => t === 'address' || t === 'bool' || /^uint\d*$/.test(t))) return null;
+    if (body.length < types.length * 64) return null;
+
+    return types.map((type, i) => {
+        const word = body.slice(i * 64, (i + 1) * 64);
+        if (type === 'address') return { type, value: `0x${word.slice(24)}` };
+        if (type === 'bool') return { type, value: BigInt(`0x${word}`) === 1n };
+        return { type, value: BigInt(`0x${word}`).toString() };
+    });
+}
+
+// Li.Fi's bridge calls (startBridgeTokensVia*, swapAndStartBridgeTokensVia*) take ILiFi.BridgeData first:
+// (bytes32 transactionId, string bridge, string integrator, address referrer, address sendingAssetId,
+//  address receiver, uint256 minAmount, uint256 destinationChainId, bool hasSourceSwaps, bool hasDestinationCall)
+// It is read by layout, and every field is sanity-checked, so calldata of any other shape returns null.
+function readBridgeData(body) {
+    const bytesAt = (offset, length) => body.slice(offset * 2, (offset + length) * 2);
+    const uintAt = (offset) => {
+        const word = bytesAt(offset, 32);
+        if (word.length !== 64) throw new Error('out of range');
+        return BigInt(`0x${word}`);
+    };
+    const offsetAt = (offset) => {
+        const value = uintAt(offset);
+        if (value % 32n !== 0n || value * 2n >= BigInt(body.length)) throw new Error('bad offset');
+        return Number(value);
+    };
+
+    // The tuple's 10-word head comes before its strings
+    const HEAD_BYTES = 10 * 32;
+
+    try {
+        const start = offsetAt(0);
+        if (start === 0) throw new Error('a dynamic tuple is never at offset 0');
+        const field = (i) => uintAt(start + i * 32);
+        const address = (i) => {
+            const value = field(i);
+            if (value >> 160n) throw new Error('not an address');
+            return `0x${value.toString(16).padStart(40, '0')}`;
+        };
+        const string = (i) => {
+            const relative = offsetAt(start + i * 32);
+            if (relative < HEAD_BYTES) throw new Error('string inside the head');
+            const at = start + relative;
+            const length = Number(uintAt(at));
+            const text = Buffer.from(bytesAt(at + 32, length), 'hex').toString('utf8');
+            if (length > 64 || text.length !== length || !/^[\x20-\x7e]*$/.test(text)) throw new Error('not a short string');
+            return text;
+        };
+        const bool = (i) => {
+            const value = field(i);
+            if (value > 1n) throw new Error('not a bool');
+            return value === 1n;
+        };
+
+        const bridge = string(1);
+        const destinationChainId = field(7);
+        if (!bridge || destinationChainId === 0n || destinationChainId > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('not bridge data');
+
+        return {
+            transactionId: `0x${bytesAt(start, 32)}`,
+            bridge,
+            integrator: string(2),
+            referrer: address(3),
+            sendingAssetId: address(4),
+            receiver: address(5),
+            minAmount: field(6).toString(),
+            destinationChainId: Number(destinationChainId),
+            hasSourceSwaps: bool(8),
+            hasDestinationCall: bool(9)
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+function decodeCalldata(data) {
+    const hex = strip(data);
+    if (hex.length < 8) return { selector: null, name: null, signature: null, args: null, bridgeData: null };
+
+    const selector = `0x${hex.slice(0, 8)}`;
+    const body = hex.slice(8);
+    const signature = loadKnownContracts().selectors[selector] || null;
+    return {
+        selector,
+        name: signature ? signature.slice(0, signature.indexOf('(')) : null,
+        signature,
+        args: signature ? decodeStaticArgs(signature, body) : null,
+        bridgeData: signature ? null : readBridgeData(body)
+    };
+}
+
+const isApprovalCall = (call) => ['approve', 'increaseAllowance'].includes(call.name) && call.args;
+
+/**
+ * Li.Fi `transactionRequest` -> { chainId, from, to, contract, method, args, bridgeData, value, valueHuman, gasLimit, dataBytes }.
+ * `native` is the chain's native token ({ symbol, decimals }) for the value.
+ */
+function decodeTransaction(txRequest, { chainId, bridge, native = { symbol: 'ETH', decimals: 18 } }) {
+    const call = decodeCalldata(txRequest.data);
+    const value = BigInt(txRequest.value || 0).toString();
+    const onChain = Number(txRequest.chainId ?? chainId);
+    return {
+        chainId: onChain,
+        from: txRequest.from ?? null,
+        to: txRequest.to,
+        contract: identifyContract(onChain, txRequest.to, bridge),
+        method: { selector: call.selector, name: call.name, signature: call.signature },
+        args: call.args,
+        bridgeData: call.bridgeData,
+        unlimitedApproval: isApprovalCall(call) ? BigInt(call.args[1].value) >= UNLIMITED_ALLOWANCE : false,
+        value,
+        valueHuman: formatTokenAmount(value, native.decimals ?? 18, native.symbol),
+        gasLimit: txRequest.gasLimit ? BigInt(txRequest.gasLimit).toString() : null,
+        dataBytes: strip(txRequest.data).length / 2
+    };
+}
+
+// --- APPROVAL ---
+
+/**
+ * The ERC-20 approval a quote needs: spender (Li.Fi's approvalAddress) checked against the known contracts,
+ * the owner's current allowance read over JSON-RPC, and an exact-amount approve transaction to sign instead
+ * of an unlimited one. Native tokens need no approval.
+ */
+async function inspectApproval({ chainId, token, owner, spender, amount, bridge }) {
+    if (isNativeToken(token.address)) return { required: false, reason: `${token.symbol} is the native token; no approval needed` };
+    if (!spender) return { required: null, reason: 'The quote did not name an approval address' };
+
+    const contract = identifyContract(chainId, spender, bridge);
+    const approval = {
+        required: null,
+        token: token.address,
+        symbol: token.symbol,
+        spender,
+        spenderName: contract.name,
+        spenderTrusted: contract.trusted,
+        amount,
+        amountHuman: formatTokenAmount(amount, token.decimals, token.symbol),
+        currentAllowance: null,
+        currentAllowanceHuman: null,
+        unlimitedAllowance: null,
+        transaction: { chainId, to: token.address, data: encodeApprove(spender, amount), value: '0' },
+        allowanceError: null
+    };
+
+    try {
+        const allowance = await getAllowance(chainId, token.address, owner, spender);
+        approval.currentAllowance = allowance.toString();
+        approval.unlimitedAllowance = allowance >= UNLIMITED_ALLOWANCE;
+        approval.currentAllowanceHuman = approval.unlimitedAllowance
+            ? `unlimited ${token.symbol}`
+            : formatTokenAmount(allowance.toString(), token.decimals, token.symbol);
+        approval.required = allowance < BigInt(amount);
+        if (!approval.required) approval.transaction = null;
+    } catch (e) {
+        approval.allowanceError = e.response?.data?.message || e.message;
+    }
+    return approval;
+}
+
+// Plain-language findings for the CLI, the agent and reports
+function transactionWarnings({ transaction, approval, bridge, chainName, sender, recipient, toChainId }) {
+    const warnings = [];
+    const owner = `${bridge} or Li.Fi contract on ${chainName}`;
+
+    if (transaction && !transaction.contract.trusted) {
+        warnings.push(`The transaction calls ${transaction.to}, which is not a known ${owner}. Check it before signing.`);
+    }
+    if (transaction?.from && transaction.from.toLowerCase() !== sender.toLowerCase()) {
+        warnings.push(`The transaction is built for sender ${transaction.from}, not the configured ${sender}.`);
+    }
+    const data = transaction?.bridgeData;
+    if (data && data.receiver.toLowerCase() !== recipient.toLowerCase() && !data.hasDestinationCall) {
+        warnings.push(`The transaction delivers funds to ${data.receiver}, not the configured recipient ${recipient}. Do not sign it.`);
+    }
+    if (data && toChainId && data.destinationChainId !== Number(toChainId)) {
+        warnings.push(`The transaction targets chain ${data.destinationChainId}, not the requested destination chain ${toChainId}.`);
+    }
+    if (transaction?.unlimitedApproval) {
+        warnings.push(`The transaction grants an unlimited token approval. Approve only the amount being bridged.`);
+    }
+    if (approval?.spender && !approval.spenderTrusted) {
+        warnings.push(`The approval target ${approval.spender} is not a known ${owner}. Do not approve it without checking.`);
+    }
+    if (approval?.unlimitedAllowance) {
+        warnings.push(`${approval.spenderName || approval.spender} already has an unlimited ${approval.symbol} allowance from ${sender}. Consider revoking it after this transfer.`);
+    }
+    return warnings;
+}
+
+module.exports = {
+    resolveParties, decodeTransaction, decodeCalldata, readBridgeData, encodeApprove, inspectApproval,
+    transactionWarnings, identifyContract, loadKnownContracts, isNativeToken, UNLIMITED_ALLOWANCE
+};
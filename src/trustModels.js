@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- BRIDGE TRUST MODELS ---
+// Bundled dataset in L2Beat's bridge risk-view format (data/bridge-trust-models.json).
+// BRIDGE_TRUST_MODELS can point at a newer export; its entries override bundled ones by id.
+const BUNDLED_PATH = path.join(__dirname, '..', 'data', 'bridge-trust-models.json');
+
+const VALIDATION_TYPES = ['native', 'optimistic', 'third-party', 'multisig'];
+const CUSTODY_TYPES = ['native', 'canonical', 'wrapped'];
+
+let loaded = null;
+
+function validateEntry(entry, file) {
+    const fail = (msg) => { throw new Error(`Invalid trust model "${entry.id || '?'}" in ${file}: ${msg}`); };
+
+    if (!entry.id) fail('missing "id"');
+    if (!entry.riskView) fail('missing "riskView"');
+    const tech = entry.technology || {};
+    if (!VALIDATION_TYPES.includes(tech.validation)) fail(`technology.validation must be one of ${VALIDATION_TYPES.join(', ')}`);
+    if (!CUSTODY_TYPES.includes(tech.destinationToken)) fail(`technology.destinationToken must be one of ${CUSTODY_TYPES.join(', ')}`);
+
+    const multisig = entry.upgradesAndGovernance?.multisig;
+    if (multisig && !(multisig.threshold > 0 && multisig.signers >= multisig.threshold)) {
+        fail('multisig needs 0 < threshold <= signers');
+    }
+}
+
+function readDataset(file) {
+    const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(dataset.bridges)) throw new Error(`Invalid trust model dataset ${file}: "bridges" must be an array`);
+    dataset.bridges.forEach(entry => validateEntry(entry, file));
+    return dataset;
+}
+
+// Flatten an L2Beat-style entry into the fields the risk engine and tools use
+function normalize(entry, dataset) {
+    const gov = entry.upgradesAndGovernance || {};
+    return {
+        id: entry.id,
+        name: entry.display?.name || entry.id,
+        validation: {
+            type: entry.technology.validation,
+            label: entry.riskView.validatedBy?.value || null,
+            description: entry.riskView.validatedBy?.description || null
+        },
+        upgradeable: gov.upgradeable !== false,
+        multisig: gov.multisig || null,
+        upgradeDelaySeconds: gov.upgradeDelaySeconds ?? null,
+        destinationToken: {
+            custody: entry.technology.destinationToken,
+            label: entry.riskView.destinationToken?.value || null,
+            description: entry.riskView.destinationToken?.description || null
+        },
+        lastReviewed: entry.lastReviewed || null,
+        dataset: { version: dataset.version, source: dataset.source }
+    };
+}
+
+function loadTrustModels({ reload = false } = {}) {
+    if (loaded && !reload) return loaded;
+
+    const datasets = [readDataset(BUNDLED_PATH)];
+    if (process.env.BRIDGE_TRUST_MODELS) datasets.push(readDataset(path.resolve(process.env.BRIDGE_TRUST_MODELS)));
+
+    const byKey = new Map();
+    for (const dataset of datasets) {
+        for (const entry of dataset.bridges) {
+            const model = normalize(entry, dataset);
+            // An override replaces the whole model with the same id, including keys it no longer lists
+            for (const [key, existing] of byKey) {
+                if (existing.id === model.id) byKey.delete(key);
+            }
+            const keys = [entry.id, entry.display?.slug, ...(entry.lifiKeys || [])].filter(Boolean);
+            keys.forEach(k => byKey.set(k.toLowerCase(), model));
+        }
+    }
+    loaded = byKey;
+    return loaded;
+}
+
+// Look up by Li.Fi tool key, L2Beat id or DefiLlama slug (e.g. 'stargateV2Bus', 'amarok', 'celer-network')
+function getTrustModel(bridgeKey) {
+    if (!bridgeKey) return null;
+    const models = loadTrustModels();
+    const key = bridgeKey.toLowerCase().trim();
+    return models.get(key) || models.get(key.replace(/v\d+$/i, '')) || null;
+}
+
+// One-line summary for display, e.g. "Optimistically validated; upgradeable by 4-of-7 multisig with no delay; Native tokens"
+function describeTrustModel(model) {
+    if (!model) return "No trust-model data for this bridge";
+
+    let upgrades = "not upgradeable";
+    if (model.upgradeable) {
+        const who = model.multisig ? `${model.multisig.threshold}-of-${model.multisig.signers} multisig` : "admin";
+        const delay = model.upgradeDelaySeconds ? `${Math.round(model.upgradeDelaySeconds / 3600)}h delay` : "no delay";
+        upgrades = `upgradeable by ${who} with ${delay}`;
+    }
+    const validated = model.validation.label ? `Validated by: ${model.validation.label}` : `Validation: ${model.validation.type}`;
+    return `${validated}; ${upgrades}; ${model.destinationToken.label || model.destinationToken.custody} tokens`;
+}
+
+module.exports = { getTrustModel, loadTrustModels, describeTrustModel, VALIDATION_TYPES, CUSTODY_TYPES };
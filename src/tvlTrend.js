@@ -0,0 +1,102 @@
+// --- TVL TREND & OUTFLOW DETECTION ---
+// Works on DefiLlama's `/protocol/{slug}` `tvl` series: [{ date: unixSeconds, totalLiquidityUSD }].
+// All windows are measured back from the newest point, so results depend only on the data.
+const DAY = 86400;
+
+const DEFAULTS = {
+    outflowWindowSec: 2 * DAY,   // "lost X% in 48h"
+    outflowLookbackSec: 7 * DAY, // only recent outflows are a live warning
+    outflowThreshold: 0.25,      // 25% drop inside the window flags an anomaly
+    zScoreThreshold: 3           // or a daily drop 3 sigma worse than the last 30 days
+};
+
+function cleanSeries(series) {
+    if (!Array.isArray(series)) return [];
+    return series
+        .map(p => ({ date: Number(p.date), usd: Number(p.totalLiquidityUSD) }))
+        .filter(p => Number.isFinite(p.date) && Number.isFinite(p.usd))
+        .sort((a, b) => a.date - b.date);
+}
+
+// Latest point at or before `date`
+function valueAt(points, date) {
+    let found = null;
+    for (const p of points) {
+        if (p.date > date) break;
+        found = p;
+    }
+    return found;
+}
+
+function change(from, to) {
+    if (!from || !to || from.usd <= 0) return null;
+    return (to.usd - from.usd) / from.usd;
+}
+
+function round(value, digits = 4) {
+    return value === null ? null : Number(value.toFixed(digits));
+}
+
+// Worst peak-to-later-point drop that happened within `windowSec` in the lookback period
+function worstWindowDrop(points, latest, windowSec, lookbackSec) {
+    const recent = points.filter(p => p.date >= latest.date - lookbackSec - windowSec);
+    let worst = 0;
+    for (let i = 0; i < recent.length; i++) {
+        for (let j = i + 1; j < recent.length && recent[j].date - recent[i].date <= windowSec; j++) {
+            if (recent[j].date < latest.date - lookbackSec) continue;
+            const c = change(recent[i], recent[j]);
+            if (c !== null && c < worst) worst = c;
+        }
+    }
+    return worst;
+}
+
+// z-score of the latest daily change against the previous 30 days of daily changes
+function latestDailyZScore(points, latest) {
+    const daily = [];
+    for (let d = 1; d <= 31; d++) {
+        const c = change(valueAt(points, latest.date - d * DAY), valueAt(points, latest.date - (d - 1) * DAY));
+        if (c !== null) daily.push(c);
+    }
+    if (daily.length < 8) return null;
+    const [today, ...history] = daily;
+    const mean = history.reduce((a, b) => a + b, 0) / history.length;
+    const sd = Math.sqrt(history.reduce((a, b) => a + (b - mean) ** 2, 0) / history.length);
+    if (sd === 0) return null;
+    return (today - mean) / sd;
+}
+
+function analyzeTvlHistory(series, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const points = cleanSeries(series);
+    if (points.length < 2) return null;
+
+    const latest = points[points.length - 1];
+    const peak = points.reduce((best, p) => (p.usd > best.usd ? p : best), points[0]);
+
+    const worstDrop = worstWindowDrop(points, latest, opts.outflowWindowSec, opts.outflowLookbackSec);
+    const zScore = latestDailyZScore(points, latest);
+
+    const reasons = [];
+    if (worstDrop <= -opts.outflowThreshold) {
+        reasons.push(`TVL fell ${(Math.abs(worstDrop) * 100).toFixed(1)}% within ${opts.outflowWindowSec / 3600}h`);
+    }
+    if (zScore !== null && zScore <= -opts.zScoreThreshold) {
+        reasons.push(`24h change is ${Math.abs(zScore).toFixed(1)} standard deviations below normal`);
+    }
+
+    return {
+        as_of: new Date(latest.date * 1000).toISOString(),
+        change_24h: round(change(valueAt(points, latest.date - DAY), latest)),
+        change_7d: round(change(valueAt(points, latest.date - 7 * DAY), latest)),
+        change_30d: round(change(valueAt(points, latest.date - 30 * DAY), latest)),
+        peak_tvl_usd: peak.usd,
+        peak_date: new Date(peak.date * 1000).toISOString(),
+        drawdown_from_peak: round(peak.usd > 0 ? (peak.usd - latest.usd) / peak.usd : null),
+        worst_48h_change: round(worstDrop),
+        outflow_anomaly: reasons.length > 0,
+        outflow_reason: reasons.length > 0 ? reasons.join("; ") : null
+    };
+}
+
+module.exports = { analyzeTvlHistory };
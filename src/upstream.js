@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- UPSTREAM REQUEST POLICY ---
+// Retries, per-host rate limits and circuit breakers for every Li.Fi / DefiLlama call.
+// Settings live in policies/upstream-policy.json (override with BRIDGE_UPSTREAM_POLICY):
+// `defaults` apply to every host, `hosts` override them per hostname.
+//   retries          extra attempts after a network error, timeout, 429 or 5xx
+//   baseDelayMs      backoff before retry n is a random delay up to baseDelayMs * 2^n ("full jitter"),
+//   maxDelayMs       capped at maxDelayMs; a 429's Retry-After is honoured up to the same cap
+//   rateLimit        token bucket: `burst` requests at once, refilled at `requestsPerSecond`
+//   circuitBreaker   after `failureThreshold` failed attempts in a row the host is skipped for
+//                    `cooldownMs`, then a single probe request decides whether it's back.
+//                    A request may name its own `circuit` (e.g. "chains") so that failures of a
+//                    non-essential endpoint don't trip the breaker in front of the host's other calls
+const DEFAULT_POLICY_PATH = path.join(__dirname, '..', 'policies', 'upstream-policy.json');
+
+const policyCache = new Map();
+const hosts = new Map();
+const circuits = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function validatePolicy(policy, file) {
+    const fail = (msg) => { throw new Error(`Invalid upstream policy ${file}: ${msg}`); };
+
+    if (!policy.version) fail('missing "version"');
+    if (!policy.defaults) fail('missing "defaults"');
+    for (const [name, settings] of [['defaults', policy.defaults], ...Object.entries(policy.hosts || {})]) {
+        if (settings.retries !== undefined && !(Number.isInteger(settings.retries) && settings.retries >= 0)) fail(`${name}: "retries" must be a non-negative integer`);
+        if (settings.rateLimit && !(settings.rateLimit.requestsPerSecond > 0)) fail(`${name}: "rateLimit.requestsPerSecond" must be positive`);
+        if (settings.circuitBreaker && !(settings.circuitBreaker.failureThreshold >= 1)) fail(`${name}: "circuitBreaker.failureThreshold" must be at least 1`);
+    }
+    return policy;
+}
+
+function loadUpstreamPolicy(file = process.env.BRIDGE_UPSTREAM_POLICY || DEFAULT_POLICY_PATH) {
+    const resolved = path.resolve(file);
+    if (!policyCache.has(resolved)) {
+        const policy = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        policyCache.set(resolved, validatePolicy(policy, resolved));
+    }
+    return policyCache.get(resolved);
+}
+
+function hostSettings(host) {
+    const { defaults, hosts: overrides = {} } = loadUpstreamPolicy();
+    const own = overrides[host] || {};
+    return {
+        ...defaults,
+        ...own,
+        rateLimit: { ...defaults.rateLimit, ...own.rateLimit },
+        circuitBreaker: { ...defaults.circuitBreaker, ...own.circuitBreaker }
+    };
+}
+
+function hostState(host) {
+    if (!hosts.has(host)) {
+        const { rateLimit } = hostSettings(host);
+        hosts.set(host, { tokens: rateLimit.burst ?? 1, refilledAt: Date.now() });
+    }
+    return hosts.get(host);
+}
+
+// Breaker per host, or per "host/circuit" for requests that name their own
+function circuitState(name) {
+    if (!circuits.has(name)) circuits.set(name, { failures: 0, openUntil: null, probing: false });
+    return circuits.get(name);
+}
+
+// Worth another attempt: no response at all (DNS, reset, timeout), rate limited, or a server error
+function isRetryable(e) {
+    if (e.code === 'CIRCUIT_OPEN' || e.code === 'FIXTURE_MISSING') return false;
+    const status = e.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+}
+
+// The upstream couldn't answer, as opposed to answering "not found" or "bad request"
+function isUpstreamFailure(e) {
+    return Boolean(e) && (e.code === 'CIRCUIT_OPEN' || isRetryable(e));
+}
+
+function retryAfterMs(e) {
+    const header = e.response?.headers?.['retry-after'];
+    if (header === undefined || header === null) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const at = Date.parse(header);
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function backoffMs(attempt, settings, e) {
+    const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** attempt);
+    const jittered = Math.random() * ceiling;
+    const hinted = retryAfterMs(e);
+    return hinted === null ? jittered : Math.min(settings.maxDelayMs, Math.max(hinted, jittered));
+}
+
+// Token bucket. Each caller reserves a token up front, so concurrent callers queue in order
+async function acquire(state, { requestsPerSecond, burst = 1 }) {
+    const now = Date.now();
+    state.tokens = Math.min(burst, state.tokens + ((now - state.refilledAt) / 1000) * requestsPerSecond);
+    state.refilledAt = now;
+    state.tokens -= 1;
+    if (state.tokens < 0) await sleep((-state.tokens / requestsPerSecond) * 1000);
+}
+
+function circuitOpenError(host, state) {
+    const wait = Math.max(0, Math.ceil((state.openUntil - Date.now()) / 1000));
+    const err = new Error(`${host} is unavailable after ${state.failures} failed attempts in a row; not retrying for ${wait}s`);
+    err.code = 'CIRCUIT_OPEN';
+    err.host = host;
+    return err;
+}
+
+// Closed: requests flow. Open: fail fast until the cooldown ends. Then one probe is let through
+function checkCircuit(host, state) {
+    if (state.openUntil === null) return;
+    if (Date.now() < state.openUntil || state.probing) throw circuitOpenError(host, state);
+    state.probing = true;
+}
+
+function recordSuccess(state) {
+    state.failures = 0;
+    state.openUntil = null;
+    state.probing = false;
+}
+
+function recordFailure(state, { failureThreshold, cooldownMs }) {
+    state.failures++;
+    if (state.probing || state.failures >= failureThreshold) state.openUntil = Date.now() + cooldownMs;
+    state.probing = false;
+}
+
+/**
+ * Sends `req` with `send(req)` under the host's policy. Resolves like `send`; rejects with the
+ * last error, annotated with `attempts`, or with a CIRCUIT_OPEN error when the host is being skipped.
+ */
+async function withUpstreamPolicy(req, send) {
+    const host = new URL(req.url).hostname;
+    const settings = hostSettings(host);
+    const circuit = req.circuit ? `${host}/${req.circuit}` : host;
+    const state = circuitState(circuit);
+
+    for (let attempt = 0; ; attempt++) {
+        checkCircuit(circuit, state);
+        await acquire(hostState(host), settings.rateLimit);
+        try {
+            const res = await send(req);
+            recordSuccess(state);
+            return res;
+        } catch (e) {
+            if (!isRetryable(e)) {
+                // The host answered; a 404 or 400 says nothing about its health
+                if (e.response) recordSuccess(state);
+                throw e;
+            }
+            recordFailure(state, settings.circuitBreaker);
+            if (attempt >= settings.retries || state.openUntil !== null) {
+                e.attempts = attempt + 1;
+                throw e;
+            }
+            await sleep(backoffMs(attempt, settings, e));
+        }
+    }
+}
+
+// Breaker state per host (and named circuit) that has been called, for /health and debugging
+function upstreamStatus() {
+    return Object.fromEntries([...circuits].map(([name, state]) => [name, {
+        circuit: state.openUntil === null ? 'closed' : (Date.now() < state.openUntil ? 'open' : 'half-open'),
+        consecutiveFailures: state.failures,
+        retryAt: state.openUntil === null ? null : new Date(state.openUntil).toISOString()
+    }]));
+}
+
+function resetUpstreamState() {
+    hosts.clear();
+    circuits.clear();
+}
+
+module.exports = { withUpstreamPolicy, isRetryable, isUpstreamFailure, upstreamStatus, resetUpstreamState, loadUpstreamPolicy };
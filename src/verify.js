@@ -0,0 +1,285 @@
+const { formatUsd } = require('./format');
+const { VERDICTS } = require('./risk');
+
+// --- ANSWER VERIFICATION ---
+// The agent is asked to copy figures from the tool JSON into a table; nothing guarantees it
+// does. These checks read the draft answer back (markdown table rows and sentences that name
+// one bridge with one verdict) and compare every figure with the tool results of the same turn.
+// The graph's `verify` node uses them to ask for a correction, or to replace the answer
+// with renderFromTools() when the model can't get it right.
+
+// Rounding the model may reasonably apply: cents for USD, 0.1% for outputs, 2% for TVL
+const USD_TOLERANCE = 0.011;
+const RELATIVE_TOLERANCE = 0.01;
+const OUTPUT_TOLERANCE = 0.001;
+const TVL_TOLERANCE = 0.02;
+
+// Characters allowed between a bridge name and the verdict it is given in prose
+const CLAIM_DISTANCE = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const bridgeKey = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9+]/g, '');
+const stripMarkdown = (text) => String(text).replace(/\*\*|__|`/g, '').replace(/\\\|/g, '|').trim();
+
+// "$1,234.50", "998.75 USDC", "$500M", "1.5k" -> number; null when there is none
+function parseFigure(text) {
+    const match = String(text).replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*([kmb])?\b/i);
+    if (!match) return null;
+    const scale = { k: 1e3, m: 1e6, b: 1e9 }[(match[2] || '').toLowerCase()] || 1;
+    return parseFloat(match[1]) * scale;
+}
+
+const verdictsIn = (text) => VERDICTS.filter(v => new RegExp(`\\b${v}\\b`, 'i').test(text));
+
+// --- FACTS FROM TOOL OUTPUT ---
+
+function parseToolContent(message) {
+    try {
+        return JSON.parse(typeof message.content === 'string' ? message.content : JSON.stringify(message.content));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Bridge -> the figures the answer may quote, from every tool result of the turn
+function collectFacts(toolResults) {
+    const facts = new Map();
+    const add = (bridge, figures) => facts.set(bridgeKey(bridge), { bridge, ...figures });
+
+    for (const { name, result } of toolResults) {
+        if (!result || result.success === false) continue;
+        if (name === 'get_bridge_options') {
+            for (const o of result.options || []) {
+                add(o.bridge, {
+                    netOutput: parseFigure(o.amountOutHuman),
+                    bridgeFee: parseFloat(o.protocolFeeUSD),
+                    lifiFee: parseFloat(o.aggregatorFeeUSD),
+                    gas: parseFloat(o.gasCostUSD),
+                    netCost: o.netCostUSD,
+                    verdict: o.securityVerdict,
+                    tvl: o.tvl && o.tvl !== 'N/A' ? parseFigure(o.tvl) : null
+                });
+            }
+        } else if (name === 'get_bridge_route') {
+            add(result.bridgeName, {
+                netOutput: parseFigure(result.amountOutHuman),
+                bridgeFee: parseFloat(result.protocolFeeUSD),
+                lifiFee: parseFloat(result.aggregatorFeeUSD),
+                gas: parseFloat(result.gasCostUSD)
+            });
+        } else if (name === 'plan_split_transfer') {
+            for (const t of result.tranches || []) {
+                add(t.bridge, { netOutput: parseFigure(t.amountOutHuman), netCost: t.netCostUSD, verdict: t.securityVerdict });
+            }
+        } else if (name === 'get_security_stats' && result.bridge && result.risk_analysis) {
+            const known = facts.get(bridgeKey(result.bridge)) || {};
+            add(result.bridge, { ...known, verdict: known.verdict ?? result.risk_analysis.verdict, tvl: known.tvl ?? (result.tvl_usd || null) });
+        }
+    }
+    return facts;
+}
+
+function findFact(facts, cell) {
+    const key = bridgeKey(cell);
+    if (!key) return null;
+    if (facts.has(key)) return facts.get(key);
+    // "Stargate V2 (stargateV2)" or "Across Protocol" still name a known bridge
+    return [...facts.values()].find(f => key.includes(bridgeKey(f.bridge)) || bridgeKey(f.bridge).includes(key)) || null;
+}
+
+// --- CLAIMS FROM THE DRAFT ---
+
+const COLUMNS = [
+    { field: 'bridge', test: h => /bridge|route/.test(h) && !/fee/.test(h) },
+    { field: 'netOutput', test: h => /output|receive/.test(h) },
+    { field: 'bridgeFee', test: h => /bridge fee|protocol fee/.test(h) },
+    { field: 'lifiFee', test: h => /li\.?fi|aggregator/.test(h) },
+    { field: 'netCost', test: h => /net cost|total cost/.test(h) },
+    { field: 'gas', test: h => /^gas/.test(h) },
+    { field: 'risk', test: h => /risk|verdict|security/.test(h) }
+];
+
+const splitRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(stripMarkdown);
+
+// Markdown tables -> [{ bridge, netOutput, ... }] with raw cell text
+function extractTableRows(text) {
+    const lines = text.split('\n');
+    const rows = [];
+    for (let i = 0; i < lines.length - 1; i++) {
+        if (!lines[i].trim().startsWith('|') || !/^\s*\|?\s*:?-{2,}/.test(lines[i + 1])) continue;
+
+        const headers = splitRow(lines[i]).map(h => h.toLowerCase());
+        const fields = headers.map(h => COLUMNS.find(c => c.test(h))?.field || null);
+        if (!fields.includes('bridge')) continue;
+
+        let j = i + 2;
+        for (; j < lines.length && lines[j].trim().startsWith('|'); j++) {
+            const cells = splitRow(lines[j]);
+            const row = {};
+            fields.forEach((field, k) => { if (field && !(field in row)) row[field] = cells[k] ?? ''; });
+            rows.push(row);
+        }
+        i = j - 1;
+    }
+    return rows;
+}
+
+// Sentences outside tables that name exactly one bridge and one verdict, e.g. "across is SECURE"
+function extractVerdictClaims(text, facts) {
+    const claims = [];
+    const prose = text.split('\n').filter(line => !line.trim().startsWith('|')).join('\n');
+    for (const sentence of prose.split(/(?<=[.!?])\s+|\n+/)) {
+        const verdicts = verdictsIn(sentence);
+        if (verdicts.length !== 1) continue;
+        // Word match, and close to the verdict, so "spread across bridges ... SECURE" isn't a claim about Across
+        const mentions = [...facts.values()].map(f => ({ fact: f, at: f.verdict ? sentence.search(new RegExp(`\\b${escapeRegExp(f.bridge)}\\b`, 'i')) : -1 }))
+            .filter(m => m.at >= 0);
+        const verdictAt = sentence.search(new RegExp(`\\b${verdicts[0]}\\b`, 'i'));
+        if (mentions.length === 1 && Math.abs(verdictAt - mentions[0].at) <= CLAIM_DISTANCE) {
+            claims.push({ fact: mentions[0].fact, verdict: verdicts[0], sentence: sentence.trim() });
+        }
+    }
+    return claims;
+}
+
+// --- COMPARISON ---
+
+function differs(claimed, actual, { absolute = USD_TOLERANCE, relative = RELATIVE_TOLERANCE } = {}) {
+    return Math.abs(claimed - actual) > Math.max(absolute, Math.abs(actual) * relative);
+}
+
+function checkRow(row, facts, issues) {
+    const fact = findFact(facts, row.bridge);
+    if (!fact) {
+        issues.push({ bridge: row.bridge, field: 'bridge', claimed: row.bridge, actual: null, message: `"${row.bridge}" is not in the tool results` });
+        return;
+    }
+    const issue = (field, claimed, actual, message) => issues.push({ bridge: fact.bridge, field, claimed, actual, message });
+    const money = (field, label) => {
+        if (row[field] === undefined || fact[field] === undefined || !Number.isFinite(fact[field])) return;
+        const claimed = parseFigure(row[field]);
+        // "-" or empty for a zero fee is what the prompt asks for
+        if (claimed === null) {
+            if (fact[field] > 0.005) issue(field, row[field], fact[field], `${label} for ${fact.bridge} is ${formatUsd(fact[field])}, not "${row[field] || 'empty'}"`);
+            return;
+        }
+        if (differs(claimed, fact[field])) issue(field, row[field], fact[field], `${label} for ${fact.bridge} is ${formatUsd(fact[field])}, not ${row[field]}`);
+    };
+
+    if (row.netOutput !== undefined && Number.isFinite(fact.netOutput)) {
+        const claimed = parseFigure(row.netOutput);
+        if (claimed === null || differs(claimed, fact.netOutput, { absolute: 0.01, relative: OUTPUT_TOLERANCE })) {
+            issue('netOutput', row.netOutput, fact.netOutput, `Net output for ${fact.bridge} is ${fact.netOutput}, not ${row.netOutput || 'empty'}`);
+        }
+    }
+    money('bridgeFee', 'Bridge fee');
+    money('lifiFee', 'Li.Fi fee');
+    money('gas', 'Gas cost');
+    money('netCost', 'Net cost');
+
+    if (row.risk !== undefined && fact.verdict) {
+        const verdicts = verdictsIn(row.risk);
+        if (verdicts.length !== 1 || verdicts[0] !== fact.verdict) {
+            issue('verdict', row.risk, fact.verdict, `Verdict for ${fact.bridge} is ${fact.verdict}, not "${row.risk}"`);
+        }
+        const tvl = /\$/.test(row.risk) ? parseFigure(row.risk.slice(row.risk.indexOf('$'))) : null;
+        if (tvl !== null && fact.tvl && differs(tvl, fact.tvl, { absolute: 0, relative: TVL_TOLERANCE })) {
+            issue('tvl', row.risk, fact.tvl, `TVL for ${fact.bridge} is $${(fact.tvl / 1e6).toFixed(2)}M, not what "${row.risk}" says`);
+        }
+    }
+}
+
+/**
+ * Compares a draft answer with the turn's tool results.
+ * `toolResults` is [{ name, result }] (parsed ToolMessage content).
+ * Returns `{ ok, checked, issues: [{ bridge, field, claimed, actual, message }] }`.
+ */
+function verifyAnswer(text, toolResults) {
+    const facts = collectFacts(toolResults);
+    const issues = [];
+    if (!facts.size || !text) return { ok: true, checked: 0, issues };
+
+    const rows = extractTableRows(String(text));
+    rows.forEach(row => checkRow(row, facts, issues));
+
+    const claims = extractVerdictClaims(String(text), facts);
+    for (const { fact, verdict, sentence } of claims) {
+        if (verdict !== fact.verdict) {
+            issues.push({ bridge: fact.bridge, field: 'verdict', claimed: verdict, actual: fact.verdict, message: `Verdict for ${fact.bridge} is ${fact.verdict}, but the answer says ${verdict} ("${sentence}")` });
+        }
+    }
+    return { ok: issues.length === 0, checked: rows.length + claims.length, issues };
+}
+
+// Tool messages since the user's last message
+function turnToolResults(messages, isUserTurn) {
+    let start = 0;
+    messages.forEach((m, i) => { if (isUserTurn(m)) start = i + 1; });
+    return messages.slice(start)
+        .filter(m => m._getType() === 'tool')
+        .map(m => ({ name: m.name, result: parseToolContent(m) }))
+        .filter(r => r.result);
+}
+
+// --- DETERMINISTIC FALLBACK ---
+// Built only from tool output, in the table layout the prompt asks for
+
+function renderFromTools(toolResults) {
+    const latest = (name) => [...toolResults].reverse().find(r => r.name === name && r.result?.success !== false)?.result;
+    const parts = [];
+
+    const options = latest('get_bridge_options');
+    if (options?.options?.length) {
+        parts.push([
+            '| Bridge | Net Output | Bridge Fee | Li.Fi Fee | Risk (TVL) | Est. Duration |',
+            '|---|---|---|---|---|---|',
+            ...options.options.map(o => `| ${o.bridge} | ${o.amountOutHuman || o.amountOut} | ${formatUsd(o.protocolFeeUSD)} | ${parseFloat(o.aggregatorFeeUSD) > 0 ? formatUsd(o.aggregatorFeeUSD) : '-'} | ${o.securityVerdict} (${o.tvl}) | ${o.executionDuration} |`)
+        ].join('\n'));
+        parts.push(options.options.map(o => `${o.bridge}: gas ${formatUsd(o.gasCostUSD)}, net cost ${formatUsd(o.netCostUSD)}, risk score ${o.riskScore}. ${o.securityReason}`).join('\n'));
+        if (options.rankingExplanation) parts.push(options.rankingExplanation);
+        (options.warnings || []).forEach(w => parts.push(`Warning: ${w}`));
+    }
+
+    const split = latest('plan_split_transfer');
+    if (split?.summary) parts.push(split.summary);
+
+    const route = latest('get_bridge_route');
+    if (route && !options) {
+        parts.push(`Best route: ${route.bridgeName}. Net output ${route.amountOutHuman}, bridge fee ${formatUsd(route.protocolFeeUSD)}, Li.Fi fee ${formatUsd(route.aggregatorFeeUSD)}, gas ${formatUsd(route.gasCostUSD)}, about ${route.estimatedTime}.`);
+        (route.warnings || []).forEach(w => parts.push(`Warning: ${w}`));
+    }
+
+    // Bridge security checks on their own, one line per bridge (the options table already has verdicts)
+    if (!options) {
+        const security = new Map();
+        for (const { name, result } of toolResults) {
+            if (name === 'get_security_stats' && result?.risk_analysis && !result.error) security.set(bridgeKey(result.bridge), result);
+        }
+        for (const stats of security.values()) {
+            const risk = stats.risk_analysis;
+            const hacks = stats.recent_hack_count === null || stats.recent_hack_count === undefined ? 'unknown' : stats.recent_hack_count;
+            parts.push(`${stats.bridge}: ${risk.verdict} (risk score ${risk.score}), TVL ${stats.tvl}, recent hacks ${hacks}. ${risk.explanation}`);
+        }
+    }
+
+    const tracking = latest('track_transfer');
+    if (tracking?.stage) {
+        parts.push(`Transfer ${tracking.txHash} is ${tracking.stage}${tracking.substatus ? ` (${tracking.substatus})` : ''}.${tracking.message ? ` ${tracking.message}` : ''} ` +
+            `Destination transaction: ${tracking.destinationTxHash || 'none yet'}. Elapsed ${tracking.elapsed}, expected ${tracking.expected}.`);
+        (tracking.warnings || []).forEach(w => parts.push(`Warning: ${w}`));
+    }
+
+    if (!parts.length) return null;
+    parts.push("_These figures come straight from the tool data; the drafted answer didn't match it._");
+    return parts.join('\n\n');
+}
+
+// Appended to a draft that still fails verification when there is nothing to render instead
+function unverifiedNote(issues) {
+    return [
+        "_Warning: some figures in this answer could not be verified against the tool data:_",
+        ...issues.map(i => `- ${i.message}`)
+    ].join('\n');
+}
+
+module.exports = { verifyAnswer, turnToolResults, renderFromTools, unverifiedNote, extractTableRows, parseFigure, collectFacts };
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { randomUUID } = require('crypto');
+const { getBridgeOptions, getSecurityStats } = require('./tools');
+const { formatUsd, formatUsdMillions } = require('./format');
+const { VERDICTS } = require('./risk');
+
+// --- ROUTE & FEE WATCHER ---
+// Watches re-quote a saved route spec on an interval and re-check the security data of
+// the bridges it uses. Alerts fire when something *changes* since the previous check:
+//   net-cost      best net cost drops to or below `maxNetCostUSD`
+//   verdict       a route reaches `minVerdict` after being below it
+//   new-hack      a bridge's recent hack count goes up
+//   tvl-drop      a bridge's TVL falls by `tvlDropPct` or more, or an outflow anomaly appears
+// Definitions and the last observed state live in BRIDGE_WATCHES_FILE
+// (default ./.bridgesafety/watches.json), so a restarted watcher carries on where it left off.
+const DEFAULT_INTERVAL_SECONDS = 300;
+const DEFAULT_TVL_DROP_PCT = 0.2;
+
+function watchesFile() {
+    return process.env.BRIDGE_WATCHES_FILE || path.join(process.cwd(), '.bridgesafety', 'watches.json');
+}
+
+function loadWatches() {
+    try {
+        return JSON.parse(fs.readFileSync(watchesFile(), 'utf8')).watches || [];
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw new Error(`Could not read watches from ${watchesFile()}: ${e.message}`);
+    }
+}
+
+function saveWatches(watches) {
+    const file = watchesFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ watches }, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+// Re-read before writing so a `watch add` from another shell isn't lost by a running watcher
+function updateWatch(id, changes) {
+    const watches = loadWatches();
+    const watch = watches.find(w => w.id === id);
+    if (!watch) return null;
+    Object.assign(watch, changes);
+    saveWatches(watches);
+    return watch;
+}
+
+function addWatch(spec) {
+    if (!spec.fromChain || !spec.toChain || !spec.token || !spec.amount) {
+        throw new Error('A watch needs fromChain, toChain, token and amount');
+    }
+    if (spec.minVerdict && !VERDICTS.includes(spec.minVerdict.toUpperCase())) {
+        throw new Error(`Unknown verdict "${spec.minVerdict}". Expected one of: ${VERDICTS.join(', ')}`);
+    }
+    // A NaN threshold never compares true, so a bad value would silently disable its alert
+    if (spec.intervalSeconds != null && !(Number.isInteger(spec.intervalSeconds) && spec.intervalSeconds > 0)) {
+        throw new Error(`intervalSeconds must be a positive integer, got ${spec.intervalSeconds}`);
+    }
+    if (spec.maxNetCostUSD != null && !(Number.isFinite(spec.maxNetCostUSD) && spec.maxNetCostUSD > 0)) {
+        throw new Error(`maxNetCostUSD must be a positive number, got ${spec.maxNetCostUSD}`);
+    }
+    if (spec.tvlDropPct != null && !(spec.tvlDropPct > 0 && spec.tvlDropPct <= 1)) {
+        throw new Error(`tvlDropPct must be greater than 0 and at most 1, got ${spec.tvlDropPct}`);
+    }
+    const watch = {
+        id: spec.id || randomUUID().slice(0, 8),
+        name: spec.name || `${spec.amount} ${spec.token} ${spec.fromChain} -> ${spec.toChain}`,
+        route: {
+            fromChain: spec.fromChain,
+            toChain: spec.toChain,
+            token: spec.token,
+            toToken: spec.toToken || null,
+            amount: spec.amount,
+            strategy: spec.strategy || null
+        },
+        intervalSeconds: spec.intervalSeconds ?? DEFAULT_INTERVAL_SECONDS,
+        thresholds: {
+            maxNetCostUSD: spec.maxNetCostUSD ?? null,
+            minVerdict: spec.minVerdict ? spec.minVerdict.toUpperCase() : null,
+            tvlDropPct: spec.tvlDropPct ?? DEFAULT_TVL_DROP_PCT
+        },
+        notify: spec.notify && spec.notify.length ? spec.notify : [{ type: 'stdout' }],
+        createdAt: new Date().toISOString(),
+        lastCheck: null
+    };
+
+    const watches = loadWatches();
+    if (watches.some(w => w.id === watch.id)) throw new Error(`A watch with id "${watch.id}" already exists`);
+    saveWatches([...watches, watch]);
+    return watch;
+}
+
+function removeWatch(id) {
+    const watches = loadWatches();
+    const remaining = watches.filter(w => w.id !== id);
+    if (remaining.length === watches.length) return false;
+    saveWatches(remaining);
+    return true;
+}
+
+// --- CHECKS ---
+
+const meetsVerdict = (verdict, minVerdict) => VERDICTS.indexOf(verdict) >= VERDICTS.indexOf(minVerdict);
+
+// One observation: best route plus security data for every bridge the routes use
+async function observe(watch) {
+    const { fromChain, toChain, token, amount, toToken, strategy } = watch.route;
+    const quote = await getBridgeOptions(fromChain, toChain, token, amount, toToken || undefined, { strategy: strategy || undefined });
+    if (!quote.success) return { checkedAt: new Date().toISOString(), error: quote.error };
+
+    const best = quote.options[0] || null;
+    const bridgeKeys = [...new Set(quote.options.flatMap(o => o.bridge.split(' + ')))];
+    const bridges = {};
+    await Promise.all(bridgeKeys.map(async (key) => {
+        const stats = await getSecurityStats(key);
+        if (stats.error) return;
+        bridges[key] = {
+            tvlUsd: stats.tvl_usd,
+            recentHackCount: stats.recent_hack_count,
+            outflowAnomaly: stats.tvl_trend?.outflow_anomaly === true,
+            unavailable: (stats.degraded || []).map(d => d.data)
+        };
+    }));
+
+    return {
+        checkedAt: new Date().toISOString(),
+        best: best ? {
+            bridge: best.bridge,
+            netCostUSD: best.netCostUSD,
+            securityVerdict: best.securityVerdict,
+            riskScore: best.riskScore,
+            amountOutHuman: best.amountOutHuman
+        } : null,
+        bestSafe: watch.thresholds.minVerdict
+            ? (quote.options.find(o => meetsVerdict(o.securityVerdict, watch.thresholds.minVerdict))?.bridge ?? null)
+            : null,
+        bridges
+    };
+}
+
+// Compare against the previous observation; only transitions produce alerts
+function evaluate(watch, previous, current) {
+    const alerts = [];
+    const { maxNetCostUSD, minVerdict, tvlDropPct } = watch.thresholds;
+    const alert = (type, message, details) => alerts.push({ type, message, details });
+
+    if (current.error) return alerts;
+
+    const cost = current.best?.netCostUSD;
+    const prevCost = previous?.best?.netCostUSD;
+    if (maxNetCostUSD !== null && typeof cost === 'number' && cost <= maxNetCostUSD
+        && !(typeof prevCost === 'number' && prevCost <= maxNetCostUSD)) {
+        alert('net-cost', `Net cost via ${current.best.bridge} is ${formatUsd(cost)}, at or below your ${formatUsd(maxNetCostUSD)} limit`,
+            { bridge: current.best.bridge, netCostUSD: cost, previousNetCostUSD: prevCost ?? null });
+    }
+
+    // The first check only sets the baseline: a route already at minVerdict hasn't "reached" it
+    if (minVerdict && current.bestSafe && previous?.bestSafe === null) {
+        alert('verdict', `${current.bestSafe} now meets ${minVerdict} for this route`, { bridge: current.bestSafe, minVerdict });
+    }
+
+    for (const [key, now] of Object.entries(current.bridges)) {
+        const before = previous?.bridges?.[key];
+        if (!before) continue;
+        if (now.recentHackCount !== null && before.recentHackCount !== null && now.recentHackCount > before.recentHackCount) {
+            alert('new-hack', `New hack recorded for ${key} (${before.recentHackCount} -> ${now.recentHackCount} in the last 2 years)`,
+                { bridge: key, recentHackCount: now.recentHackCount });
+        }
+        if (before.tvlUsd && now.tvlUsd !== null && (before.tvlUsd - now.tvlUsd) / before.tvlUsd >= tvlDropPct) {
+            const drop = (before.tvlUsd - now.tvlUsd) / before.tvlUsd;
+            alert('tvl-drop', `${key} TVL fell ${(drop * 100).toFixed(1)}% (${formatUsdMillions(before.tvlUsd)} -> ${formatUsdMillions(now.tvlUsd)})`,
+                { bridge: key, tvlUsd: now.tvlUsd, previousTvlUsd: before.tvlUsd, change: -drop });
+        } else if (now.outflowAnomaly && !before.outflowAnomaly) {
+            alert('tvl-drop', `Sudden TVL outflow detected for ${key}`, { bridge: key, tvlUsd: now.tvlUsd });
+        }
+    }
+    return alerts;
+}
+
+// Values that couldn't be fetched this time keep their last known reading,
+// so an outage neither raises an alert nor hides a change seen once the data is back
+function carryForward(previous, current) {
+    if (current.error) return current;
+    const bridges = Object.fromEntries(Object.entries(current.bridges).map(([key, now]) => {
+        const before = previous?.bridges?.[key];
+        const unavailable = now.unavailable || [];
+        if (!before || !unavailable.length) return [key, now];
+        const missing = (data) => unavailable.includes(data) || unavailable.includes('security');
+        return [key, {
+            ...now,
+            tvlUsd: missing('tvl') ? before.tvlUsd : now.tvlUsd,
+            recentHackCount: missing('hacks') ? before.recentHackCount : now.recentHackCount
+        }];
+    }));
+    return { ...current, bridges };
+}
+
+// --- NOTIFIERS ---
+// stdout prints a line, webhook POSTs the alert as JSON, file appends one JSON line per alert
+const NOTIFIERS = {
+    stdout: async (target, payload) => {
+        console.log(`[${payload.at}] ${payload.watch.name}: ${payload.alert.message}`);
+    },
+    webhook: async (target, payload) => {
+        await axios.post(target.url, payload, { timeout: 10000 });
+    },
+    file: async (target, payload) => {
+        fs.mkdirSync(path.dirname(path.resolve(target.path)), { recursive: true });
+        fs.appendFileSync(target.path, JSON.stringify(payload) + '\n');
+    }
+};
+
+async function notify(watch, alert) {
+    const payload = { at: new Date().toISOString(), watch: { id: watch.id, name: watch.name, route: watch.route }, alert };
+    await Promise.all(watch.notify.map(async (target) => {
+        const send = NOTIFIERS[target.type];
+        if (!send) return console.error(`Watch ${watch.id}: unknown notifier "${target.type}"`);
+        try {
+            await send(target, payload);
+        } catch (e) {
+            // A broken webhook shouldn't stop the other notifiers or the watcher
+            console.error(`Watch ${watch.id}: ${target.type} notification failed: ${e.message}`);
+        }
+    }));
+}
+
+async function checkWatch(watch) {
+    const current = carryForward(watch.lastCheck, await observe(watch));
+    const alerts = evaluate(watch, watch.lastCheck, current);
+    for (const alert of alerts) await notify(watch, alert);
+
+    // Keep the last good observation when a check fails, so the next success compares against it
+    const lastCheck = current.error ? { ...(watch.lastCheck || {}), checkedAt: current.checkedAt, error: current.error } : current;
+    updateWatch(watch.id, { lastCheck });
+    return { watch: watch.id, alerts, error: current.error || null };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isDue(watch, now = Date.now()) {
+    if (!watch.lastCheck?.checkedAt) return true;
+    return Date.parse(watch.lastCheck.checkedAt) + watch.intervalSeconds * 1000 <= now;
+}
+
+const nextDueAt = (watch) => (watch.lastCheck?.checkedAt ? Date.parse(watch.lastCheck.checkedAt) : 0) + watch.intervalSeconds * 1000;
+
+// Runs until `signal.stopped` is set (or after one pass with `once`), and stops with an error
+// once no watches are left. The file is re-read every second while waiting, so watches added
+// or removed while running are noticed right away.
+async function runWatches({ ids, once = false, signal = {}, onCheck = () => { } } = {}) {
+    const selected = () => loadWatches().filter(w => !ids?.length || ids.includes(w.id));
+
+    while (!signal.stopped) {
+        const watches = selected();
+        if (!watches.length) throw new Error(ids?.length ? `No watches match ${ids.join(', ')}` : 'No watches defined. Add one with `watch add`.');
+
+        for (const watch of watches) {
+            if (signal.stopped) break;
+            if (once || isDue(watch)) onCheck(await checkWatch(watch));
+        }
+        if (once) return;
+
+        // Sleep until a watch is due or the list changes to none, waking every second (also for Ctrl+C)
+        while (!signal.stopped) {
+            const fresh = selected();
+            if (!fresh.length || fresh.some(w => isDue(w))) break;
+            const nextDue = Math.min(...fresh.map(nextDueAt));
+            await sleep(Math.min(1000, nextDue - Date.now()));
+        }
+    }
+}
+
+module.exports = { addWatch, removeWatch, loadWatches, runWatches, checkWatch, evaluate, watchesFile, NOTIFIERS };